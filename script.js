@@ -2,31 +2,53 @@
 const STORAGE_KEY = 'myVocabApp_v1';
 const BACKUP_KEY = 'myVocabApp_v1_backup';
 const NOTES_KEY = 'myVocabApp_notes';
+const SCHEMA_VERSION = '1.3';
+
+// How forgiving typed answers are; see ANSWER MATCHING
+const ANSWER_MATCHING_DEFAULTS = {
+    maxTypos: 2,
+    autoAccept: false,
+    foldDiacritics: true,
+    ignoreArticles: true
+};
 
-let state = {
-    meta: {
-        version: '1.0',
-        createdAt: new Date().toISOString(),
-        lastSync: new Date().toISOString()
-    },
-    settings: {
-        theme: 'light',
-        notificationHour: '20:00',
-        notificationEnabled: false,
-        dailyTestTimeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
-    },
-    categories: [],
-    words: {},
-    history: [],
-    appStats: {
-        totalAdded: 0,
-        totalLearned: 0,
-        favoritesCount: 0,
-        hardCount: 0,
-        streak: { current: 0, best: 0, lastActive: null }
-    }
+// How much the daily study plan takes on; see STUDY PLAN
+const DAILY_LIMIT_DEFAULTS = {
+    newWords: 10,
+    reviews: 100
 };
 
+function createDefaultState() {
+    return {
+        meta: {
+            version: SCHEMA_VERSION,
+            createdAt: new Date().toISOString(),
+            lastSync: new Date().toISOString()
+        },
+        settings: {
+            theme: 'light',
+            notificationHour: '20:00',
+            notificationEnabled: false,
+            dailyTestTimeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            answerMatching: { ...ANSWER_MATCHING_DEFAULTS },
+            dailyLimits: { ...DAILY_LIMIT_DEFAULTS }
+        },
+        categories: [],
+        words: {},
+        history: [],
+        activeQuiz: null,
+        appStats: {
+            totalAdded: 0,
+            totalLearned: 0,
+            favoritesCount: 0,
+            hardCount: 0,
+            streak: { current: 0, best: 0, lastActive: null }
+        }
+    };
+}
+
+let state = createDefaultState();
+
 let currentQuiz = null;
 let notificationCheckInterval = null;
 let snoozedUntil = null;
@@ -40,6 +62,10 @@ function generateUUID() {
     });
 }
 
+function cloneData(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
 function debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -94,49 +120,574 @@ function formatDate(isoString) {
     return date.toLocaleDateString();
 }
     
-function saveState() {
-    try {
-        // create a backup of current storage
-        const currentData = localStorage.getItem(STORAGE_KEY);
-        if (currentData) {
-            localStorage.setItem(BACKUP_KEY, currentData);
+// ==================== PERSISTENCE ====================
+// Data lives in IndexedDB with one object store per kind of record, so a save
+// only writes the records that actually changed. localStorage is kept as a
+// fallback for browsers without IndexedDB and as the source of the one-time
+// migration from older versions.
+const DB_NAME = 'myVocabApp';
+const DB_VERSION = 2;
+const DB_STORES = {
+    words: 'id',
+    history: 'quizId',
+    categories: 'name',
+    notes: 'id',
+    settings: 'key'
+};
+
+let db = null;
+let storageLoaded = false;
+let savedNotes = [];
+
+// Last serialised form of every stored record, used to find what changed since the previous save
+const persistedRecords = {};
+Object.keys(DB_STORES).forEach(name => { persistedRecords[name] = new Map(); });
+
+function openDatabase() {
+    return new Promise(resolve => {
+        if (!('indexedDB' in window)) {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                const stores = { ...DB_STORES, [SNAPSHOT_STORE]: 'id', [SNAPSHOT_DATA_STORE]: 'id' };
+                Object.entries(stores).forEach(([name, keyPath]) => {
+                    if (!database.objectStoreNames.contains(name)) {
+                        database.createObjectStore(name, { keyPath });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error opening database:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.error('Error opening database:', error);
+            resolve(null);
         }
+    });
+}
 
-        state.meta.lastSync = new Date().toISOString();
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+function readAllRecords(storeName) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Split the in-memory state into the records stored in each object store.
+// Record keys are repaired by migrateState, so this only reads the state.
+function collectRecords() {
+    const records = { words: [], history: [], categories: [], notes: [], settings: [] };
+
+    Object.values(state.words).forEach(word => records.words.push(word));
+    state.history.forEach(entry => records.history.push(entry));
+
+    state.categories.forEach((name, position) => records.categories.push({ name, position }));
+    savedNotes.forEach(note => records.notes.push(note));
+
+    Object.keys(state)
+        .filter(key => !['words', 'history', 'categories'].includes(key))
+        .forEach(key => records.settings.push({ key, value: state[key] }));
+
+    return records;
+}
+
+function diffRecords() {
+    const records = collectRecords();
+    const changes = [];
+
+    Object.entries(DB_STORES).forEach(([storeName, keyPath]) => {
+        const persisted = persistedRecords[storeName];
+        const seen = new Set();
+
+        records[storeName].forEach(record => {
+            const key = record[keyPath];
+            const json = JSON.stringify(record);
+            seen.add(key);
+            if (persisted.get(key) !== json) {
+                changes.push({ storeName, key, record, previous: persisted.get(key) });
+                persisted.set(key, json);
+            }
+        });
+
+        Array.from(persisted.keys()).forEach(key => {
+            if (!seen.has(key)) {
+                changes.push({ storeName, key, record: null, previous: persisted.get(key) });
+                persisted.delete(key);
+            }
+        });
+    });
+
+    return changes;
+}
+
+// Saves run one at a time, so a failed write has rolled back its bookkeeping
+// before the next save works out what changed
+let saveQueue = Promise.resolve();
+
+function saveState() {
+    state.meta.lastSync = new Date().toISOString();
+
+    const run = saveQueue.then(writeChanges);
+    saveQueue = run.catch(() => false);
+    return run;
+}
+
+function writeChanges() {
+    // Never write the empty default state over data that has not been read yet
+    if (!storageLoaded) return Promise.resolve(false);
+    if (!db) return Promise.resolve(saveLegacyState());
+
+    const changes = diffRecords();
+    if (changes.length === 0) {
         updateStorageDisplay();
-    } catch (error) {
-        if (error.name === 'QuotaExceededError') {
-            showToast('Storage quota exceeded! Please export your data and clear some space.', 'error');
-        } else {
-            console.error('Error saving state:', error);
+        return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+        let tx;
+        const fail = error => {
+            // Forget the optimistic bookkeeping so the next save retries these records
+            changes.forEach(change => {
+                const persisted = persistedRecords[change.storeName];
+                if (change.previous === undefined) persisted.delete(change.key);
+                else persisted.set(change.key, change.previous);
+            });
+            handleSaveError(error);
+            resolve(false);
+        };
+
+        try {
+            tx = db.transaction(Object.keys(DB_STORES), 'readwrite');
+            changes.forEach(change => {
+                const store = tx.objectStore(change.storeName);
+                if (change.record) store.put(change.record);
+                else store.delete(change.key);
+            });
+        } catch (error) {
+            fail(error);
+            return;
         }
+
+        tx.oncomplete = () => {
+            updateStorageDisplay();
+            maybeTakeAutoSnapshot();
+            resolve(true);
+        };
+        tx.onabort = () => fail(tx.error);
+    });
+}
+
+function handleSaveError(error) {
+    if (error && error.name === 'QuotaExceededError') {
+        showToast('Storage quota exceeded! Please export your data and clear some space.', 'error');
+    } else {
+        console.error('Error saving state:', error);
     }
 }
 
 const debouncedSaveState = debounce(saveState, 1000);
 
 function loadState() {
+    return openDatabase()
+        .then(database => {
+            db = database;
+            if (!db) return readLegacyState();
+            return loadSnapshotIndex().then(readStateFromDatabase).then(loaded => {
+                if (loaded) return loaded;
+                // First run with IndexedDB: bring over whatever older versions left in localStorage
+                const legacy = readLegacyState();
+                if (legacy) legacy.fromLocalStorage = true;
+                return legacy;
+            });
+        })
+        .then(loaded => {
+            storageLoaded = true;
+            if (!loaded) return;
+
+            const { data, applied } = migrateState(loaded.state);
+            state = data;
+            savedNotes = loaded.notes;
+            if (applied.length > 0) {
+                reportMigrations(applied);
+            }
+
+            if (loaded.fromLocalStorage && db) {
+                return saveState().then(ok => {
+                    if (!ok) return;
+                    [STORAGE_KEY, BACKUP_KEY, NOTES_KEY].forEach(key => localStorage.removeItem(key));
+                    showToast('Your data was moved to the new storage format.', 'info');
+                });
+            }
+            if (applied.length > 0) {
+                debouncedSaveState();
+            }
+        })
+        .catch(error => {
+            storageLoaded = true;
+            console.error('Error loading state:', error);
+            showToast('Error loading data. Starting fresh.', 'error');
+        })
+        .then(() => updateStats());
+}
+
+function readStateFromDatabase() {
+    const storeNames = Object.keys(DB_STORES);
+    return Promise.all(storeNames.map(readAllRecords)).then(results => {
+        const byStore = {};
+        storeNames.forEach((name, i) => {
+            byStore[name] = results[i];
+            results[i].forEach(record => {
+                persistedRecords[name].set(record[DB_STORES[name]], JSON.stringify(record));
+            });
+        });
+
+        if (byStore.settings.length === 0 && byStore.words.length === 0) return null;
+
+        const loaded = { words: {}, history: [], categories: [] };
+        byStore.settings.forEach(record => { loaded[record.key] = record.value; });
+        byStore.words.forEach(word => { loaded.words[word.id] = word; });
+        loaded.history = byStore.history.sort((a, b) => new Date(a.date) - new Date(b.date));
+        loaded.categories = byStore.categories
+            .sort((a, b) => a.position - b.position)
+            .map(record => record.name);
+
+        return { state: loaded, notes: byStore.notes };
+    });
+}
+
+// Data written by versions that kept everything in localStorage
+function readLegacyState() {
+    let saved = null;
+    [STORAGE_KEY, BACKUP_KEY].some(key => {
+        try {
+            const raw = localStorage.getItem(key);
+            saved = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            console.error(`Error reading ${key}:`, error);
+            saved = null;
+        }
+        return saved !== null;
+    });
+
+    const notes = readLegacyNotes();
+    if (!saved && notes.length === 0) return null;
+    return { state: saved || {}, notes };
+}
+
+function readLegacyNotes() {
     try {
-        const saved = localStorage.getItem(STORAGE_KEY);
-        if (saved) {
-            const loaded = JSON.parse(saved);
-            state = { ...state, ...loaded };
+        const raw = localStorage.getItem(NOTES_KEY);
+        if (!raw) return [];
+        const parsed = JSON.parse(raw);
+        if (typeof parsed === 'string') {
+            return [{
+                id: generateUUID(),
+                title: 'Note 1',
+                content: parsed,
+                updatedAt: new Date().toISOString()
+            }];
         }
-        updateStats();
+        if (Array.isArray(parsed)) return parsed;
+        return [];
+    } catch (err) {
+        console.error('Failed to read notes from storage:', err);
+        return [];
+    }
+}
+
+function saveLegacyState() {
+    try {
+        // create a backup of current storage
+        const currentData = localStorage.getItem(STORAGE_KEY);
+        if (currentData) {
+            localStorage.setItem(BACKUP_KEY, currentData);
+        }
+
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        localStorage.setItem(NOTES_KEY, JSON.stringify(savedNotes));
+        updateStorageDisplay();
+        return true;
     } catch (error) {
-        console.error('Error loading state:', error);
-        showToast('Error loading data. Starting fresh.', 'error');
+        handleSaveError(error);
+        return false;
     }
 }
 
 function updateStorageDisplay() {
-    const data = localStorage.getItem(STORAGE_KEY) || '';
-    const bytes = new Blob([data]).size;
+    let bytes = 0;
+    if (db) {
+        Object.values(persistedRecords).forEach(records => {
+            records.forEach(json => { bytes += json.length; });
+        });
+    } else {
+        bytes = new Blob([localStorage.getItem(STORAGE_KEY) || '']).size;
+    }
     const kb = (bytes / 1024).toFixed(2);
     document.getElementById('storage-usage').textContent = `Storage: ${kb} KB`;
 }
 
+// ==================== SNAPSHOTS ====================
+// Rolling restore points kept next to the live data: a few recent ones taken
+// while editing, one per day, manual ones, and safety copies taken right
+// before destructive operations (import, restore, clear all). Metadata and
+// payload live in separate stores so listing them stays cheap. Every snapshot
+// is a full copy, so only a handful of each kind is kept.
+const SNAPSHOT_STORE = 'snapshots';
+const SNAPSHOT_DATA_STORE = 'snapshotData';
+const SNAPSHOT_MIN_INTERVAL = 30 * 60 * 1000;
+const SNAPSHOT_LIMITS = { auto: 3, daily: 7, safety: 5 };
+const MANUAL_SNAPSHOT_LIMIT = 10;
+const SNAPSHOT_KIND_LABELS = { auto: 'Auto', daily: 'Daily', manual: 'Manual', safety: 'Safety' };
+
+let snapshotIndex = [];
+
+function loadSnapshotIndex() {
+    if (!db) return Promise.resolve([]);
+    return readAllRecords(SNAPSHOT_STORE).then(records => {
+        snapshotIndex = records.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        return snapshotIndex;
+    });
+}
+
+function takeSnapshot(kind, label = '') {
+    if (!db) return Promise.resolve(null);
+
+    // Copy synchronously so callers can mutate state right after calling this
+    const payload = cloneData({ state, notes: savedNotes });
+    const meta = {
+        id: generateUUID(),
+        createdAt: new Date().toISOString(),
+        kind,
+        label,
+        wordCount: Object.keys(payload.state.words || {}).length,
+        historyCount: (payload.state.history || []).length
+    };
+
+    return new Promise(resolve => {
+        const tx = db.transaction([SNAPSHOT_STORE, SNAPSHOT_DATA_STORE], 'readwrite');
+        tx.objectStore(SNAPSHOT_STORE).put(meta);
+        tx.objectStore(SNAPSHOT_DATA_STORE).put({ id: meta.id, payload });
+        tx.oncomplete = () => {
+            snapshotIndex.unshift(meta);
+            pruneSnapshots().then(() => resolve(meta));
+        };
+        tx.onabort = () => {
+            console.error('Error saving snapshot:', tx.error);
+            resolve(null);
+        };
+    });
+}
+
+function maybeTakeAutoSnapshot() {
+    const now = new Date();
+    const today = now.toDateString();
+    if (!snapshotIndex.some(s => s.kind === 'daily' && new Date(s.createdAt).toDateString() === today)) {
+        return takeSnapshot('daily');
+    }
+    const lastAuto = snapshotIndex.find(s => s.kind === 'auto' || s.kind === 'daily');
+    if (!lastAuto || now - new Date(lastAuto.createdAt) >= SNAPSHOT_MIN_INTERVAL) {
+        return takeSnapshot('auto');
+    }
+    return Promise.resolve(null);
+}
+
+function deleteSnapshots(ids) {
+    if (!db || ids.length === 0) return Promise.resolve();
+    return new Promise(resolve => {
+        const tx = db.transaction([SNAPSHOT_STORE, SNAPSHOT_DATA_STORE], 'readwrite');
+        ids.forEach(id => {
+            tx.objectStore(SNAPSHOT_STORE).delete(id);
+            tx.objectStore(SNAPSHOT_DATA_STORE).delete(id);
+        });
+        tx.oncomplete = () => {
+            snapshotIndex = snapshotIndex.filter(s => !ids.includes(s.id));
+            resolve();
+        };
+        tx.onabort = () => {
+            console.error('Error deleting snapshots:', tx.error);
+            resolve();
+        };
+    });
+}
+
+function pruneSnapshots() {
+    const expired = [];
+    Object.entries(SNAPSHOT_LIMITS).forEach(([kind, limit]) => {
+        snapshotIndex.filter(s => s.kind === kind).slice(limit).forEach(s => expired.push(s.id));
+    });
+    return deleteSnapshots(expired);
+}
+
+function readSnapshot(id) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(SNAPSHOT_DATA_STORE, 'readonly').objectStore(SNAPSHOT_DATA_STORE).get(id);
+        request.onsuccess = () => resolve(request.result ? request.result.payload : null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// What restoring `target` would change compared with the current data
+function diffStates(current, target) {
+    const currentWords = current.words || {};
+    const targetWords = target.words || {};
+    const label = w => `${w.english || '?'} - ${w.turkish || ''}`;
+
+    const diff = {
+        restored: Object.keys(targetWords).filter(id => !currentWords[id]).map(id => label(targetWords[id])),
+        removed: Object.keys(currentWords).filter(id => !targetWords[id]).map(id => label(currentWords[id])),
+        changed: Object.keys(targetWords)
+            .filter(id => currentWords[id] && JSON.stringify(currentWords[id]) !== JSON.stringify(targetWords[id]))
+            .map(id => label(targetWords[id])),
+        categoriesRestored: (target.categories || []).filter(c => !(current.categories || []).includes(c)),
+        categoriesRemoved: (current.categories || []).filter(c => !(target.categories || []).includes(c)),
+        historyDelta: (target.history || []).length - (current.history || []).length
+    };
+    return diff;
+}
+
+function renderDiffList(title, items, color) {
+    if (items.length === 0) return '';
+    const shown = items.slice(0, 15).map(item => `<li>${escapeHtml(item)}</li>`).join('');
+    const more = items.length > 15 ? `<li style="color: var(--v-text-tertiary);">...and ${items.length - 15} more</li>` : '';
+    return `
+        <div style="margin-top: 1rem;">
+            <strong style="color: ${color};">${title} (${items.length})</strong>
+            <ul class="diff-list">${shown}${more}</ul>
+        </div>
+    `;
+}
+
+function previewSnapshotRestore(id) {
+    const meta = snapshotIndex.find(s => s.id === id);
+    if (!meta) return;
+
+    readSnapshot(id).then(payload => {
+        if (!payload) {
+            showToast('Snapshot data could not be found.', 'error');
+            return;
+        }
+        const diff = diffStates(state, payload.state);
+        const nothingChanges = !diff.restored.length && !diff.removed.length && !diff.changed.length &&
+            !diff.categoriesRestored.length && !diff.categoriesRemoved.length && diff.historyDelta === 0;
+
+        openActionModal({
+            title: 'Restore Snapshot',
+            body: `
+                <p>Snapshot from <strong>${new Date(meta.createdAt).toLocaleString()}</strong> with ${meta.wordCount} words.</p>
+                ${nothingChanges ? '<p style="margin-top: 1rem; color: var(--v-text-secondary);">This snapshot matches your current data.</p>' : ''}
+                ${renderDiffList('Words that come back', diff.restored, 'var(--v-success)')}
+                ${renderDiffList('Words that will be removed', diff.removed, 'var(--v-danger)')}
+                ${renderDiffList('Words that will be reverted', diff.changed, 'var(--v-warning)')}
+                ${renderDiffList('Categories that come back', diff.categoriesRestored, 'var(--v-success)')}
+                ${renderDiffList('Categories that will be removed', diff.categoriesRemoved, 'var(--v-danger)')}
+                ${diff.historyDelta !== 0 ? `<p style="margin-top: 1rem;">Quiz history: ${diff.historyDelta > 0 ? '+' : ''}${diff.historyDelta} sessions</p>` : ''}
+                <p style="margin-top: 1rem; color: var(--v-text-tertiary); font-size: 0.85rem;">Your current data is saved as a safety snapshot before restoring.</p>
+            `,
+            actions: [
+                { label: 'Cancel', className: 'btn-secondary' },
+                { label: 'Restore', className: 'btn-destructive', testId: 'button-confirm-restore', onClick: () => restoreSnapshot(id, payload) }
+            ]
+        });
+    }).catch(error => {
+        console.error('Error reading snapshot:', error);
+        showToast('Snapshot could not be read.', 'error');
+    });
+}
+
+function restoreSnapshot(id, payload) {
+    const meta = snapshotIndex.find(s => s.id === id);
+    takeSnapshot('safety', 'Before restore');
+
+    const { data, applied } = migrateState(payload.state);
+    state = data;
+    savedNotes = payload.notes || [];
+    if (applied.length > 0) {
+        reportMigrations(applied);
+    }
+
+    saveState();
+    updateStats();
+    applyTheme();
+    showToast(`Restored snapshot from ${meta ? new Date(meta.createdAt).toLocaleString() : 'backup'}.`, 'success');
+    handleRoute();
+}
+
+function createManualSnapshot() {
+    // Manual snapshots are never pruned, so the user picks which one to drop
+    if (snapshotIndex.filter(s => s.kind === 'manual').length >= MANUAL_SNAPSHOT_LIMIT) {
+        showToast(`You can keep up to ${MANUAL_SNAPSHOT_LIMIT} manual snapshots. Delete one to create another.`, 'warning');
+        return;
+    }
+    takeSnapshot('manual').then(meta => {
+        if (!meta) {
+            showToast('Snapshots are not available in this browser.', 'warning');
+            return;
+        }
+        showToast('Snapshot created.', 'success');
+        renderSnapshotList();
+    });
+}
+
+function removeSnapshot(id) {
+    if (!confirm('Delete this snapshot?')) return;
+    deleteSnapshots([id]).then(renderSnapshotList);
+}
+
+function renderSnapshotList() {
+    const container = document.getElementById('snapshot-list');
+    if (!container) return;
+
+    if (!db) {
+        container.innerHTML = '<p style="color: var(--v-text-secondary);">Snapshots need IndexedDB, which is not available in this browser.</p>';
+        return;
+    }
+    if (snapshotIndex.length === 0) {
+        container.innerHTML = '<p style="color: var(--v-text-secondary);">No snapshots yet. They are created automatically as you work.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div style="overflow-x: auto;">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Type</th>
+                        <th>Words</th>
+                        <th>Quizzes</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${snapshotIndex.map(s => `
+                        <tr data-testid="row-snapshot-${s.id}">
+                            <td>${new Date(s.createdAt).toLocaleString()}</td>
+                            <td><span class="badge badge-snapshot ${s.kind}">${SNAPSHOT_KIND_LABELS[s.kind] || s.kind}</span>${s.label ? ` <small style="color: var(--v-text-tertiary);">${escapeHtml(s.label)}</small>` : ''}</td>
+                            <td>${s.wordCount}</td>
+                            <td>${s.historyCount}</td>
+                            <td style="white-space: nowrap; text-align: right;">
+                                <button class="btn-secondary btn-sm" onclick="previewSnapshotRestore('${s.id}')" data-testid="button-restore-${s.id}">
+                                    <i class="fas fa-history"></i> Restore
+                                </button>
+                                <button class="btn-icon" onclick="removeSnapshot('${s.id}')" title="Delete snapshot">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
 function exportData() {
     const dataStr = JSON.stringify(state, null, 2);
     const dataBlob = new Blob([dataStr], { type: 'application/json' });
@@ -151,36 +702,44 @@ function exportData() {
 }
 
 function importData(fileContent, mode = 'replace') {
+    let parsed;
     try {
-        const imported = JSON.parse(fileContent);
-        
-        if (!imported.meta || !imported.words) {
-            throw new Error('Invalid backup file format');
+        parsed = JSON.parse(fileContent);
+    } catch (error) {
+        console.error('Import error:', error);
+        showToast('This file is not valid JSON.', 'error');
+        return;
+    }
+
+    if (!parsed || !parsed.meta || !parsed.words || typeof parsed.words !== 'object' || Array.isArray(parsed.words)) {
+        showToast('This file is not a vocabulary backup.', 'error');
+        return;
+    }
+
+    const report = validateImport(parsed);
+    if (report.invalid.length === 0 && report.repairable.length === 0 && report.badHistory.length === 0) {
+        applyImport(parsed, mode);
+        return;
+    }
+    showValidationReport(parsed, report, mode);
+}
+
+function applyImport(parsed, mode) {
+    try {
+        const { data: imported, applied } = migrateState(parsed);
+        if (applied.length > 0) {
+            reportMigrations(applied);
         }
+
+        takeSnapshot('safety', 'Before import');
         
         if (mode === 'replace') {
             state = imported;
             showToast('Data imported successfully!', 'success');
         } else if (mode === 'merge') {
-            // Merge words, avoiding duplicates
-            let merged = 0;
-            let skipped = 0;
-            
-            Object.values(imported.words).forEach(word => {
-                const exists = Object.values(state.words).find(
-                    w => w.english.toLowerCase() === word.english.toLowerCase() && 
-                         w.turkish.toLowerCase() === word.turkish.toLowerCase()
-                );
-                
-                if (!exists) {
-                    state.words[word.id] = word;
-                    merged++;
-                } else {
-                    skipped++;
-                }
-            });
-            
-            showToast(`Merged ${merged} words, skipped ${skipped} duplicates.`, 'success');
+            const report = mergeImportedState(imported);
+            showMergeReport(report);
+            showToast(`Merged ${report.added.length + report.merged.length} words.`, 'success');
         }
         
         saveState();
@@ -192,769 +751,2480 @@ function importData(fileContent, mode = 'replace') {
     }
 }
 
-// ==================== WORD CRUD FUNCTIONS ====================
-function addWord(wordData) {
-    const id = generateUUID();
-    const word = {
-        id,
-        english: wordData.english.trim(),
-        turkish: wordData.turkish?.trim() || '',
-        pronunciation: wordData.pronunciation?.trim() || '',
-        turkishExplanation: wordData.turkishExplanation?.trim() || '',
-        englishExplanation: wordData.englishExplanation?.trim() || '',
-        synonyms: wordData.synonyms || [],
-        antonyms: wordData.antonyms || [],
-        examples: wordData.examples || [],
-        level: wordData.level || 'C1',
-        categories: wordData.categories || [],
-    notes: wordData.notes?.trim() || '',
-        favorite: wordData.favorite || false,
-        stats: {
-            addedAt: new Date().toISOString(),
-            timesTested: 0,
-            correctCount: 0,
-            wrongCount: 0,
-            lastTested: null,
-            difficultyScore: 0,
-            nextReviewDate: new Date().toISOString(),
-            learned: false
-        }
-    };
-    // Mirror Turkish explanation across known aliases so renderers/readers find it
-    word.turkExp = word.turkishExplanation;
-    word.turkishExp = word.turkishExplanation;
-    
-    state.words[id] = word;
-    state.appStats.totalAdded = Object.keys(state.words).length;
-    updateStats();
-    debouncedSaveState();
-    return word;
-}
+// ==================== IMPORT VALIDATION ====================
+// Dry run over an imported backup: every word is checked against the current
+// schema before anything touches the live state.
+const WORD_TEXT_FIELDS = ['english', 'turkish', 'pronunciation', 'englishExplanation', 'turkishExplanation', 'notes'];
+const WORD_LIST_FIELDS = ['synonyms', 'antonyms', 'examples', 'categories'];
+const WORD_COUNTER_FIELDS = ['timesTested', 'correctCount', 'wrongCount', 'difficultyScore'];
 
-// Find possible duplicate by english (case-insensitive) or turkish
-function findDuplicate(english, turkish) {
-    if (!english) return null;
-    const e = english.trim().toLowerCase();
-    const t = (turkish || '').trim().toLowerCase();
-    return Object.values(state.words).find(w => {
-        if (w.english && w.english.trim().toLowerCase() === e) return true;
-        if (t && w.turkish && w.turkish.trim().toLowerCase() === t) return true;
-        return false;
-    }) || null;
+function isValidDate(value) {
+    return typeof value === 'string' && !isNaN(new Date(value).getTime());
 }
 
-function updateWord(id, wordData) {
-    if (!state.words[id]) return null;
-    
-    state.words[id] = {
-        ...state.words[id],
-        ...wordData,
-        stats: state.words[id].stats // Preserve stats
-    };
-    // Normalize Turkish explanation aliases if provided
-    const updated = state.words[id];
-    if (wordData.turkishExplanation !== undefined) {
-        updated.turkExp = (wordData.turkishExplanation || '').trim();
-        updated.turkishExp = (wordData.turkishExplanation || '').trim();
-        updated.turkishExplanation = (wordData.turkishExplanation || '').trim();
+function validateWordRecord(raw, key, strict) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { fatal: true, problems: ['not a word record'] };
     }
-
-    if (wordData.notes !== undefined) {
-        updated.notes = (wordData.notes || '').trim();
+    if (typeof raw.english !== 'string' || !raw.english.trim()) {
+        return { fatal: true, problems: ['missing English word'] };
     }
-    
-    updateStats();
-    debouncedSaveState();
-    return state.words[id];
-}
 
-function deleteWord(id) {
-    if (state.words[id]) {
-        delete state.words[id];
-        state.appStats.totalAdded = Object.keys(state.words).length;
-        updateStats();
-        debouncedSaveState();
-        return true;
-    }
-    return false;
-}
+    // Older backups legitimately lack newer fields; the migrations fill them in
+    const problems = [];
+    if (raw.id !== undefined && raw.id !== key) problems.push('id does not match its key');
 
-function toggleFavorite(id) {
-    if (state.words[id]) {
-        state.words[id].favorite = !state.words[id].favorite;
-        updateStats();
-        debouncedSaveState();
-        return state.words[id].favorite;
+    WORD_TEXT_FIELDS.slice(1).forEach(field => {
+        const value = field === 'turkishExplanation' ? getWordField(raw, 'turkishExplanation', 'turkExp', 'turkishExp') : raw[field];
+        if (value === undefined || value === null) {
+            if (strict && field !== 'notes') problems.push(`missing ${field}`);
+        } else if (typeof value !== 'string') {
+            problems.push(`${field} is not text`);
+        }
+    });
+
+    WORD_LIST_FIELDS.forEach(field => {
+        if (raw[field] === undefined) {
+            if (strict) problems.push(`missing ${field}`);
+        } else if (!Array.isArray(raw[field])) {
+            problems.push(`${field} is not a list`);
+        } else if (raw[field].some(item => typeof item !== 'string')) {
+            problems.push(`${field} contains non-text entries`);
+        }
+    });
+
+    if (raw.translations !== undefined && !Array.isArray(raw.translations)) problems.push('translations is not a list');
+    if (raw.level !== undefined && !WORD_LEVELS.includes(raw.level)) problems.push(`unknown level "${raw.level}"`);
+
+    const stats = raw.stats;
+    if (stats === undefined || stats === null) {
+        if (strict) problems.push('missing stats');
+    } else if (typeof stats !== 'object') {
+        problems.push('stats is not an object');
+    } else {
+        WORD_COUNTER_FIELDS.forEach(field => {
+            if (stats[field] !== undefined && typeof stats[field] !== 'number') problems.push(`stats.${field} is not a number`);
+        });
+        ['addedAt', 'nextReviewDate'].forEach(field => {
+            if (stats[field] !== undefined && !isValidDate(stats[field])) problems.push(`stats.${field} is not a date`);
+        });
+        if (stats.lastTested && !isValidDate(stats.lastTested)) problems.push('stats.lastTested is not a date');
     }
-    return false;
+
+    return { fatal: false, problems };
 }
 
-function updateWordStats(id, correct) {
-    const word = state.words[id];
-    if (!word) return;
-    
-    word.stats.timesTested++;
-    word.stats.lastTested = new Date().toISOString();
-    
-    if (correct) {
-        word.stats.correctCount++;
-        word.stats.difficultyScore = Math.max(0, word.stats.difficultyScore - 1);
-        
-        // Spaced repetition intervals: 1, 3, 7, 14, 30, 90 days
-        const intervals = [1, 3, 7, 14, 30, 90];
-        const streak = word.stats.correctCount - word.stats.wrongCount;
-        const intervalIndex = Math.min(Math.max(0, streak - 1), intervals.length - 1);
-        const days = intervals[intervalIndex];
-        
-        const nextDate = new Date();
-        nextDate.setDate(nextDate.getDate() + days);
-        word.stats.nextReviewDate = nextDate.toISOString();
+function validateImport(parsed) {
+    const strict = compareVersions(parsed.meta.version || '1.0', '1.1') >= 0;
+    const report = { wordCount: 0, invalid: [], repairable: [], badHistory: [] };
+
+    Object.entries(parsed.words).forEach(([key, raw]) => {
+        report.wordCount++;
+        const result = validateWordRecord(raw, key, strict);
+        if (result.problems.length === 0) return;
+        const label = raw && typeof raw.english === 'string' && raw.english.trim() ? raw.english : key;
+        (result.fatal ? report.invalid : report.repairable).push({ key, label, problems: result.problems });
+    });
+
+    if (parsed.history !== undefined && !Array.isArray(parsed.history)) {
+        report.badHistory.push('history is not a list');
     } else {
-        word.stats.wrongCount++;
-        word.stats.difficultyScore += 2;
-        
-        // Reset review to tomorrow
-        const tomorrow = new Date();
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        word.stats.nextReviewDate = tomorrow.toISOString();
-    }
-    
-    // Check if word is learned
-    if (word.stats.correctCount >= 5 && word.stats.wrongCount === 0) {
-        word.stats.learned = true;
+        (parsed.history || []).forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object' || !entry.quizId || !Array.isArray(entry.details)) {
+                report.badHistory.push(`session #${index + 1}`);
+            }
+        });
     }
-    
-    updateStats();
-    debouncedSaveState();
+
+    return report;
 }
 
-// ==================== STATISTICS FUNCTIONS ====================
-function updateStats() {
-    const words = Object.values(state.words);
-    
-    state.appStats.totalAdded = words.length;
-    state.appStats.totalLearned = words.filter(w => w.stats.learned).length;
-    state.appStats.favoritesCount = words.filter(w => w.favorite).length;
-    state.appStats.hardCount = words.filter(w => isHardWord(w)).length;
-    
-    // Update header stats
-    document.getElementById('stat-total').textContent = state.appStats.totalAdded;
-    document.getElementById('stat-learned').textContent = state.appStats.totalLearned;
-    document.getElementById('stat-fav').textContent = state.appStats.favoritesCount;
-    document.getElementById('stat-hard').textContent = state.appStats.hardCount;
-    document.getElementById('stat-streak').textContent = state.appStats.streak.current;
+// Drop invalid records and either repair or skip the repairable ones
+function prepareImport(parsed, report, repair) {
+    const data = { ...parsed, words: { ...parsed.words } };
+    report.invalid.forEach(item => delete data.words[item.key]);
+    report.repairable.forEach(item => {
+        if (!repair) {
+            delete data.words[item.key];
+            return;
+        }
+        const word = normalizeWord(parsed.words[item.key], item.key, parsed.meta.createdAt);
+        ensureSrsStats(word);
+        data.words[item.key] = word;
+    });
+    data.history = Array.isArray(parsed.history)
+        ? parsed.history.filter(entry => entry && typeof entry === 'object' && entry.quizId && Array.isArray(entry.details))
+        : [];
+    return data;
 }
 
-function isHardWord(word) {
-    return word.stats.difficultyScore >= 3 || 
-           (word.stats.timesTested >= 3 && word.stats.wrongCount / word.stats.timesTested >= 0.4);
+function describeRecordProblems(items) {
+    return items.map(item => `${item.label}: ${item.problems.join(', ')}`);
 }
 
-function getWordsByCategory(category) {
-    return Object.values(state.words).filter(w => w.categories.includes(category));
+function showValidationReport(parsed, report, mode) {
+    const usable = report.wordCount - report.invalid.length - report.repairable.length;
+    const actions = [
+        { label: 'Abort', className: 'btn-secondary', testId: 'button-import-abort', onClick: () => showToast('Import cancelled.', 'info') },
+        {
+            label: report.repairable.length > 0 ? `Skip ${report.invalid.length + report.repairable.length} Records` : 'Skip Invalid Records',
+            className: report.repairable.length > 0 ? 'btn-secondary' : 'btn-primary',
+            testId: 'button-import-skip',
+            onClick: () => applyImport(prepareImport(parsed, report, false), mode)
+        }
+    ];
+    if (report.repairable.length > 0) {
+        actions.push({
+            label: 'Auto-repair',
+            className: 'btn-primary',
+            testId: 'button-import-repair',
+            onClick: () => applyImport(prepareImport(parsed, report, true), mode)
+        });
+    }
+
+    openActionModal({
+        title: 'Import Check',
+        body: `
+            <p>${report.wordCount} words checked: ${usable} valid, ${report.repairable.length} repairable, ${report.invalid.length} invalid.</p>
+            ${renderDiffList('Invalid (will be skipped)', describeRecordProblems(report.invalid), 'var(--v-danger)')}
+            ${renderDiffList('Repairable', describeRecordProblems(report.repairable), 'var(--v-warning)')}
+            ${renderDiffList('Unreadable quiz history (will be skipped)', report.badHistory, 'var(--v-danger)')}
+            <p style="margin-top: 1rem; color: var(--v-text-tertiary); font-size: 0.85rem;">Nothing has been imported yet.</p>
+        `,
+        actions
+    });
 }
 
-function getAllCategories() {
-    const categories = new Set();
-    Object.values(state.words).forEach(w => {
-        w.categories.forEach(cat => categories.add(cat));
+// ==================== MERGE IMPORT ====================
+const MERGE_TEXT_FIELDS = ['pronunciation', 'turkishExplanation', 'englishExplanation', 'level'];
+const MERGE_LIST_FIELDS = ['translations', 'synonyms', 'antonyms', 'examples', 'categories'];
+const MERGE_SCHEDULE_FIELDS = ['easeFactor', 'stability', 'interval', 'repetitions', 'lapses', 'nextReviewDate', 'difficultyScore', 'learned', 'learningStep'];
+
+function unionList(current, incoming) {
+    const seen = new Set((current || []).map(item => item.trim().toLowerCase()));
+    const merged = [...(current || [])];
+    (incoming || []).forEach(item => {
+        const key = item.trim().toLowerCase();
+        if (key && !seen.has(key)) {
+            seen.add(key);
+            merged.push(item);
+        }
     });
-    // Include top-level categories list stored in state
-    if (Array.isArray(state.categories)) {
-        state.categories.forEach(cat => categories.add(cat));
+    return merged;
+}
+
+function findMergeTarget(word) {
+    if (state.words[word.id] && state.words[word.id].english.toLowerCase() === word.english.toLowerCase()) {
+        return state.words[word.id];
     }
-    return Array.from(categories).sort();
+    return Object.values(state.words).find(
+        w => w.english.toLowerCase() === word.english.toLowerCase() &&
+             w.turkish.toLowerCase() === word.turkish.toLowerCase()
+    ) || null;
 }
 
-function getDueWords() {
-    const now = new Date();
-    return Object.values(state.words).filter(w => {
-        const dueDate = new Date(w.stats.nextReviewDate);
-        return dueDate <= now;
+// Answers from sessions present in both files are already in both sets of
+// counters; tally them per word so they are not added twice.
+// Retakes used to reuse the original quiz id, so the id alone doesn't identify
+// a session. Word ids are left out because imported words may be remapped.
+function historyEntryKey(entry) {
+    const answers = (entry.details || []).map(a => [a.type, a.userAnswer, a.correct, a.grade || null]);
+    return JSON.stringify([entry.quizId, entry.date, answers]);
+}
+
+function countSharedAnswers(importedHistory) {
+    const localKeys = new Set(state.history.map(historyEntryKey));
+    const shared = {};
+    importedHistory.filter(h => localKeys.has(historyEntryKey(h))).forEach(h => {
+        (h.details || []).filter(answer => !answer.relearning).forEach(answer => {
+            const counts = shared[answer.wordId] || (shared[answer.wordId] = { tested: 0, correct: 0, wrong: 0 });
+            counts.tested++;
+            if (answer.correct) counts.correct++;
+            else counts.wrong++;
+        });
     });
+    return shared;
 }
 
-// ==================== TEXT-TO-SPEECH ====================
-function playPronunciation(text, button) {
-    if (!('speechSynthesis' in window)) {
-        showToast('Text-to-speech is not supported in your browser.', 'warning');
-        return;
-    }
-    
-    if (button) {
-        button.classList.add('playing');
-    }
-    
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.lang = 'en-US';
-    utterance.rate = 0.9;
-    utterance.pitch = 1;
-    
-    utterance.onend = () => {
-        if (button) {
-            button.classList.remove('playing');
+function mergeWordStats(local, incoming, shared) {
+    const a = local.stats;
+    const b = incoming.stats;
+    const overlap = shared || { tested: 0, correct: 0, wrong: 0 };
+    const changes = [];
+
+    const sum = (field, sharedCount) => {
+        const extra = Math.max(0, (b[field] || 0) - sharedCount);
+        if (extra > 0) {
+            a[field] = (a[field] || 0) + extra;
+            changes.push(field);
         }
     };
-    
-    speechSynthesis.cancel(); // Cancel any ongoing speech
-    speechSynthesis.speak(utterance);
-}
+    sum('timesTested', overlap.tested);
+    sum('correctCount', overlap.correct);
+    sum('wrongCount', overlap.wrong);
 
-// ==================== SPA ROUTER ====================
-function navigateTo(route) {
-    window.location.hash = route;
+    if (b.addedAt && (!a.addedAt || b.addedAt < a.addedAt)) {
+        a.addedAt = b.addedAt;
+        changes.push('addedAt');
+    }
+
+    // The copy that was studied last owns the schedule
+    let scheduleOverwritten = false;
+    if (b.lastTested && (!a.lastTested || b.lastTested > a.lastTested)) {
+        a.lastTested = b.lastTested;
+        MERGE_SCHEDULE_FIELDS.forEach(field => {
+            if (b[field] !== undefined) a[field] = b[field];
+        });
+        scheduleOverwritten = true;
+    }
+
+    return { changes, scheduleOverwritten };
 }
 
-function handleRoute() {
-    const route = window.location.hash.slice(1) || 'dashboard';
-    // For category detail routes like "category:Name" or "category/Name" map to base 'categories' nav
-    const finalRouteForNav = route.startsWith('category:') || route.startsWith('category/') ? 'categories' : route;
+function mergeWord(local, incoming, shared) {
+    const fields = [];
+    const conflicts = [];
 
-    // Close any open modal when route changes
-    document.querySelectorAll('.modal.active').forEach(modal => {
-        modal.classList.remove('active');
+    MERGE_TEXT_FIELDS.forEach(field => {
+        const value = (incoming[field] || '').trim();
+        if (!value || value === local[field]) return;
+        if (!local[field]) {
+            local[field] = value;
+            fields.push(field);
+        } else {
+            conflicts.push(field);
+        }
     });
 
-    // Update active nav item
-    document.querySelectorAll('.nav-item').forEach(item => {
-        item.classList.remove('active');
-        if (item.dataset.route === finalRouteForNav) {
-            item.classList.add('active');
+    MERGE_LIST_FIELDS.forEach(field => {
+        const merged = unionList(local[field], incoming[field]);
+        if (merged.length !== (local[field] || []).length) {
+            local[field] = merged;
+            fields.push(field);
         }
     });
-    
-    // Render appropriate view
-    const mainContent = document.getElementById('mainContent');
-    
-    // Route: category detail (allow both category:Name and category/Name)
-    if (route.startsWith('category:') || route.startsWith('category/')) {
-        const parts = route.split(/[:\/]/);
-        const encoded = parts.slice(1).join(':');
-        const catName = decodeURIComponent(encoded || '');
-        viewCategory(catName);
-        return;
-    }
 
-    // Route: word detail (word:<id> or word/<id>)
-    if (route.startsWith('word:') || route.startsWith('word/')) {
-        const parts = route.split(/[:\/]/);
-        const id = parts.slice(1).join(':');
-        const decodedId = decodeURIComponent(id || '');
-        renderWordDetail(mainContent, decodedId);
-        return;
+    const incomingNotes = (incoming.notes || '').trim();
+    if (incomingNotes && !(local.notes || '').includes(incomingNotes)) {
+        local.notes = local.notes ? `${local.notes}\n\n${incomingNotes}` : incomingNotes;
+        fields.push('notes');
     }
 
-    switch (route) {
-        case 'dashboard':
-            renderDashboard(mainContent);
-            break;
-        case 'add-word':
-            renderAddWord(mainContent);
-            break;
-        case 'learn':
-            renderLearn(mainContent);
-            break;
-        case 'dictionary':
-            renderDictionary(mainContent);
-            break;
-        case 'favorites':
-            renderFavorites(mainContent);
-            break;
-        case 'hard':
-            renderHardWords(mainContent);
-            break;
-        case 'categories':
-            renderCategories(mainContent);
-            break;
-        case 'notes':
-            renderNotes(mainContent);
-            break;
-        case 'statistics':
-            renderStatistics(mainContent);
-            break;
-        case 'import-export':
-            renderImportExport(mainContent);
-            break;
-        case 'quiz':
-            if (currentQuiz) {
-                renderQuiz(mainContent);
-            } else {
-                navigateTo('learn');
-            }
-            break;
-        default:
-            renderDashboard(mainContent);
-    }
-    
-    // Close sidebar on mobile after navigation
-    if (window.innerWidth <= 968) {
-        document.getElementById('sidebar').classList.remove('active');
+    if (incoming.favorite && !local.favorite) {
+        local.favorite = true;
+        fields.push('favorite');
     }
+
+    syncTranslations(local, 'translations');
+    local.turkExp = local.turkishExplanation;
+    local.turkishExp = local.turkishExplanation;
+
+    const stats = mergeWordStats(local, incoming, shared);
+    return { fields: fields.concat(stats.changes), conflicts, scheduleOverwritten: stats.scheduleOverwritten };
 }
 
-// ==================== VIEW RENDERERS ====================
-function renderDashboard(container) {
-    const words = Object.values(state.words);
-    const recentWords = words.sort((a, b) => 
-        new Date(b.stats.addedAt) - new Date(a.stats.addedAt)
-    ).slice(0, 6);
-    
-    const dueWords = getDueWords();
-    
-    container.innerHTML = `
-        <div class="page-header">
-            <h1 class="page-title">
-                <i class="fas fa-home"></i>
-                Dashboard
-            </h1>
-            <p class="page-subtitle">Welcome back! Here's your learning overview.</p>
-        </div>
-        
-        <div class="stats-grid">
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--v-primary);">${state.appStats.totalAdded}</div>
-                <div class="stat-label">Total Words</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--v-success);">${state.appStats.totalLearned}</div>
-                <div class="stat-label">Learned</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--v-warning);">${dueWords.length}</div>
-                <div class="stat-label">Due for Review</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--v-primary);">${state.appStats.streak.current} 🔥</div>
-                <div class="stat-label">Current Streak</div>
-            </div>
-        </div>
-        
-        <div style="margin-top: 2rem;">
-            <h2>Quick Actions</h2>
-            <div style="display: flex; gap: 1rem; margin-top: 1rem; flex-wrap: wrap;">
-                <button class="btn-primary" onclick="openAddWordModal()" data-testid="button-add-word">
-                    <i class="fas fa-plus"></i> Add New Word
-                </button>
-                <button class="btn-primary" onclick="navigateTo('learn')" data-testid="button-start-learning">
-                    <i class="fas fa-graduation-cap"></i> Start Learning
-                </button>
-                ${dueWords.length >= 5 ? `
-                    <button class="btn-secondary" onclick="startDailyTest()" data-testid="button-daily-test">
-                        <i class="fas fa-calendar-check"></i> Daily Test (${dueWords.length} due)
-                    </button>
-                ` : ''}
-            </div>
-        </div>
-        
-        ${recentWords.length > 0 ? `
-            <div style="margin-top: 2rem;">
-                <h2>Recently Added</h2>
-                <div class="card-grid">
-                    ${recentWords.map(word => renderSimpleWordCard(word)).join('')}
-                </div>
-            </div>
-        ` : `
-            <div class="empty-state">
-                <i class="fas fa-book-open"></i>
-                <h3>No words yet</h3>
-                <p>Start building your vocabulary by adding your first word!</p>
-                <button class="btn-primary" onclick="openAddWordModal()">
-                    <i class="fas fa-plus"></i> Add Your First Word
-                </button>
-            </div>
-        `}
-    `;
+function mergeImportedState(imported) {
+    const report = { added: [], merged: [], overwritten: [], skipped: [], historyAdded: 0, historySkipped: 0, categoriesAdded: [] };
+    const shared = countSharedAnswers(imported.history || []);
+    const idMap = {};
+
+    Object.values(imported.words).forEach(word => {
+        const target = findMergeTarget(word);
+        if (!target) {
+            const id = state.words[word.id] ? generateUUID() : word.id;
+            state.words[id] = { ...word, id };
+            idMap[word.id] = id;
+            report.added.push(word.english);
+            return;
+        }
+
+        idMap[word.id] = target.id;
+        const result = mergeWord(target, word, shared[word.id]);
+        if (result.scheduleOverwritten) {
+            report.overwritten.push(`${target.english}: review schedule taken from the imported file`);
+        }
+        if (result.fields.length > 0) {
+            report.merged.push(`${target.english}: ${result.fields.join(', ')}`);
+        }
+        if (result.conflicts.length > 0) {
+            report.skipped.push(`${target.english}: kept your ${result.conflicts.join(', ')}`);
+        } else if (result.fields.length === 0 && !result.scheduleOverwritten) {
+            report.skipped.push(`${target.english}: already up to date`);
+        }
+    });
+
+    const knownKeys = new Set(state.history.map(historyEntryKey));
+    const knownQuizIds = new Set(state.history.map(h => h.quizId));
+    (imported.history || []).forEach(entry => {
+        const key = historyEntryKey(entry);
+        if (knownKeys.has(key)) {
+            report.historySkipped++;
+            return;
+        }
+        knownKeys.add(key);
+        // A different session under a known id gets its own id
+        const quizId = knownQuizIds.has(entry.quizId) ? generateUUID() : entry.quizId;
+        knownQuizIds.add(quizId);
+        state.history.push({
+            ...entry,
+            quizId,
+            details: (entry.details || []).map(answer => ({ ...answer, wordId: idMap[answer.wordId] || answer.wordId }))
+        });
+        report.historyAdded++;
+    });
+    state.history.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    if (!Array.isArray(state.categories)) state.categories = [];
+    (imported.categories || []).forEach(name => {
+        if (!state.categories.includes(name)) {
+            state.categories.push(name);
+            report.categoriesAdded.push(name);
+        }
+    });
+
+    const streak = state.appStats.streak;
+    const importedStreak = imported.appStats && imported.appStats.streak;
+    if (streak && importedStreak && importedStreak.best > streak.best) {
+        streak.best = importedStreak.best;
+    }
+    state.appStats.totalAdded = Object.keys(state.words).length;
+
+    return report;
 }
 
-function renderSimpleWordCard(word) {
-    return `
-        <div class="simple-word-card" onclick="navigateTo('word:${word.id}')" data-testid="card-word-${word.id}">
-            <div class="simple-word-english">${word.english}</div>
-            <div class="simple-word-turkish">${word.turkish}</div>
-        </div>
-    `;
+function showMergeReport(report) {
+    openActionModal({
+        title: 'Merge Report',
+        body: `
+            <p>
+                ${report.added.length} words added, ${report.merged.length} merged,
+                ${report.historyAdded} quiz sessions added${report.historySkipped ? ` (${report.historySkipped} already present)` : ''}.
+            </p>
+            ${renderDiffList('New words', report.added, 'var(--v-success)')}
+            ${renderDiffList('Merged into existing words', report.merged, 'var(--v-primary)')}
+            ${renderDiffList('Overwritten', report.overwritten, 'var(--v-warning)')}
+            ${renderDiffList('Skipped', report.skipped, 'var(--v-text-tertiary)')}
+            ${renderDiffList('New categories', report.categoriesAdded, 'var(--v-success)')}
+            <p style="margin-top: 1rem; color: var(--v-text-tertiary); font-size: 0.85rem;">Your data before the merge is kept under Restore Points.</p>
+        `,
+        actions: [
+            { label: 'Close', className: 'btn-primary', testId: 'button-close-merge-report' }
+        ]
+    });
 }
 
-function renderLearn(container) {
+// ==================== CSV IMPORT ====================
+// Spreadsheet import: detect the delimiter, preview the rows, let the user map
+// columns to word fields, then create the words through addWord.
+const CSV_FIELDS = [
+    { key: '', label: '— Ignore —' },
+    { key: 'english', label: 'English', aliases: ['english', 'en', 'word', 'ingilizce', 'headword', 'front'] },
+    { key: 'turkish', label: 'Turkish', aliases: ['turkish', 'tr', 'türkçe', 'turkce', 'translation', 'meaning', 'back'] },
+    { key: 'pronunciation', label: 'Pronunciation', aliases: ['pronunciation', 'pron', 'ipa', 'telaffuz'] },
+    { key: 'level', label: 'Level', aliases: ['level', 'cefr', 'seviye'] },
+    { key: 'partOfSpeech', label: 'Part of Speech', aliases: ['part of speech', 'partofspeech', 'pos', 'word type'] },
+    { key: 'englishExplanation', label: 'English Explanation', aliases: ['definition', 'englishexplanation', 'english explanation', 'explanation'] },
+    { key: 'turkishExplanation', label: 'Turkish Explanation', aliases: ['turkishexplanation', 'turkish explanation', 'açıklama', 'aciklama'] },
+    { key: 'synonyms', label: 'Synonyms', aliases: ['synonyms', 'synonym', 'eş anlamlı', 'es anlamli'] },
+    { key: 'examples', label: 'Examples', aliases: ['examples', 'example', 'sentence', 'sentences', 'örnek', 'ornek'] },
+    { key: 'categories', label: 'Categories', aliases: ['categories', 'category', 'tags', 'tag', 'kategori'] },
+    { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'notlar', 'not'] }
+];
+
+const CSV_DELIMITERS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab', '|': 'Pipe' };
+const CSV_LIST_FIELDS = ['synonyms', 'examples', 'categories'];
+
+let csvImport = null;
+
+// RFC 4180 style parser: quoted fields may contain delimiters, quotes ("") and newlines
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10).join('\n');
+    let best = ',';
+    let bestScore = 0;
+
+    Object.keys(CSV_DELIMITERS).forEach(delimiter => {
+        const rows = parseDelimited(sample, delimiter);
+        if (rows.length === 0) return;
+        const widths = rows.map(r => r.length);
+        const consistent = widths.filter(w => w === widths[0]).length / widths.length;
+        // Reward delimiters that split every line into the same number of columns
+        const score = widths[0] > 1 ? widths[0] * consistent : 0;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+function guessCsvField(header) {
+    const h = (header || '').trim().toLowerCase();
+    const match = CSV_FIELDS.find(f => f.aliases && f.aliases.includes(h));
+    return match ? match.key : '';
+}
+
+function splitListCell(value, field) {
+    const separator = field === 'examples' ? /\r?\n|\|/ : /[;|,]/;
+    return value.split(separator).map(s => s.trim()).filter(Boolean);
+}
+
+function startCsvImport(text, fileName) {
+    const delimiter = detectDelimiter(text);
+    csvImport = { text, fileName, delimiter, hasHeader: true, duplicates: 'skip', rows: [], mapping: [] };
+    parseCsvImport();
+    renderCsvWizard();
+}
+
+function parseCsvImport() {
+    csvImport.rows = parseDelimited(csvImport.text, csvImport.delimiter);
+    const columns = Math.max(0, ...csvImport.rows.map(r => r.length));
+    const header = csvImport.rows[0] || [];
+
+    csvImport.mapping = Array.from({ length: columns }, (_, i) => {
+        const guessed = csvImport.hasHeader ? guessCsvField(header[i]) : '';
+        // Without recognisable headers assume the common "english, turkish" layout
+        if (!guessed && !csvImport.hasHeader && i < 2) return i === 0 ? 'english' : 'turkish';
+        return guessed;
+    });
+
+    if (csvImport.hasHeader && !csvImport.mapping.includes('english') && columns >= 2) {
+        csvImport.mapping[0] = 'english';
+        if (!csvImport.mapping.includes('turkish')) csvImport.mapping[1] = 'turkish';
+    }
+}
+
+function getCsvDataRows() {
+    return csvImport.hasHeader ? csvImport.rows.slice(1) : csvImport.rows;
+}
+
+function renderCsvWizard() {
+    const container = document.getElementById('csv-import-wizard');
+    if (!container || !csvImport) return;
+
+    const dataRows = getCsvDataRows();
+    const header = csvImport.hasHeader ? csvImport.rows[0] || [] : [];
+    const preview = dataRows.slice(0, 8);
+
     container.innerHTML = `
-        <div class="page-header">
-            <h1 class="page-title">
-                <i class="fas fa-graduation-cap"></i>
-                Learn Words
-            </h1>
-            <p class="page-subtitle">Practice and test your vocabulary knowledge.</p>
-        </div>
-        
-        <div class="card-grid">
-            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('all')" data-testid="card-quiz-all">
-                <h3><i class="fas fa-list"></i> All Words</h3>
-                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
-                    Practice all ${Object.keys(state.words).length} words in your dictionary
-                </p>
-            </div>
-            
-            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('due')" data-testid="card-quiz-due">
-                <h3><i class="fas fa-clock"></i> Due for Review</h3>
-                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
-                    ${getDueWords().length} words ready for review
-                </p>
-            </div>
-            
-            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('favorites')" data-testid="card-quiz-favorites">
-                <h3><i class="fas fa-star"></i> Favorites</h3>
-                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
-                    Practice your ${state.appStats.favoritesCount} favorite words
-                </p>
-            </div>
-            
-            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('hard')" data-testid="card-quiz-hard">
-                <h3><i class="fas fa-exclamation-triangle"></i> Hard Words</h3>
-                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
-                    Focus on ${state.appStats.hardCount} challenging words
-                </p>
+        <div class="csv-wizard">
+            <p style="color: var(--v-text-secondary); margin-bottom: 1rem;">
+                <strong>${escapeHtml(csvImport.fileName)}</strong> — ${dataRows.length} rows, ${csvImport.mapping.length} columns
+            </p>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="csv-delimiter">Delimiter</label>
+                    <select id="csv-delimiter" data-testid="select-csv-delimiter">
+                        ${Object.entries(CSV_DELIMITERS).map(([value, label]) => `
+                            <option value="${value === '\t' ? 'tab' : value}" ${value === csvImport.delimiter ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="csv-duplicates">When a word already exists</label>
+                    <select id="csv-duplicates" data-testid="select-csv-duplicates">
+                        <option value="skip" ${csvImport.duplicates === 'skip' ? 'selected' : ''}>Skip it</option>
+                        <option value="update" ${csvImport.duplicates === 'update' ? 'selected' : ''}>Update the existing word</option>
+                        <option value="add" ${csvImport.duplicates === 'add' ? 'selected' : ''}>Add as a separate entry</option>
+                    </select>
+                </div>
             </div>
-            
-            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('category')" data-testid="card-quiz-category">
-                <h3><i class="fas fa-tags"></i> By Category</h3>
-                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
-                    Choose from ${getAllCategories().length} categories
-                </p>
+            <div class="form-group checkbox-group">
+                <label>
+                    <input type="checkbox" id="csv-has-header" ${csvImport.hasHeader ? 'checked' : ''} data-testid="checkbox-csv-header">
+                    <span>First row contains column names</span>
+                </label>
             </div>
 
-            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('custom')" data-testid="card-quiz-custom">
-                <h3><i class="fas fa-hand-pointer"></i> Custom Selection</h3>
-                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
-                    Choose specific words to practice
-                </p>
+            <div class="csv-preview">
+                <table>
+                    <thead>
+                        <tr>
+                            ${csvImport.mapping.map((field, i) => `
+                                <th>
+                                    <select class="csv-map" data-column="${i}" data-testid="select-csv-map-${i}">
+                                        ${CSV_FIELDS.map(f => `<option value="${f.key}" ${f.key === field ? 'selected' : ''}>${f.label}</option>`).join('')}
+                                    </select>
+                                    ${header[i] ? `<div class="csv-header-name">${escapeHtml(header[i])}</div>` : ''}
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${preview.map(row => `
+                            <tr>${csvImport.mapping.map((_, i) => `<td>${escapeHtml(row[i] || '')}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
             </div>
-            
-            <div class="card" style="cursor: pointer;" onclick="navigateTo('dictionary')" data-testid="card-browse-words">
-                <h3><i class="fas fa-book"></i> Browse Words</h3>
-                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
-                    View and manage your dictionary
-                </p>
+            ${dataRows.length > preview.length ? `<p style="color: var(--v-text-tertiary); font-size: 0.85rem; margin-top: 0.5rem;">Showing the first ${preview.length} rows.</p>` : ''}
+
+            <div class="form-actions">
+                <button class="btn-secondary" onclick="cancelCsvImport()">Cancel</button>
+                <button class="btn-primary" onclick="commitCsvImport()" data-testid="button-csv-import">
+                    <i class="fas fa-file-import"></i> Import ${dataRows.length} Rows
+                </button>
             </div>
         </div>
     `;
-    
+
+    document.getElementById('csv-delimiter').addEventListener('change', e => {
+        csvImport.delimiter = e.target.value === 'tab' ? '\t' : e.target.value;
+        parseCsvImport();
+        renderCsvWizard();
+    });
+    document.getElementById('csv-has-header').addEventListener('change', e => {
+        csvImport.hasHeader = e.target.checked;
+        parseCsvImport();
+        renderCsvWizard();
+    });
+    document.getElementById('csv-duplicates').addEventListener('change', e => {
+        csvImport.duplicates = e.target.value;
+    });
+    container.querySelectorAll('.csv-map').forEach(select => {
+        select.addEventListener('change', e => {
+            csvImport.mapping[Number(e.target.getAttribute('data-column'))] = e.target.value;
+        });
+    });
 }
 
-// Toast notification system
-function showToast(message, type = 'info') {
-    const toastContainer = document.getElementById('toast-container');
-    if (!toastContainer) return;
+function cancelCsvImport() {
+    csvImport = null;
+    const container = document.getElementById('csv-import-wizard');
+    if (container) container.innerHTML = '';
+    const input = document.getElementById('csv-import-file');
+    if (input) input.value = '';
+}
 
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.innerHTML = `
-        <i class="fas fa-${type === 'success' ? 'check-circle' : 
-                          type === 'error' ? 'exclamation-circle' : 
-                          type === 'warning' ? 'exclamation-triangle' : 'info-circle'}"></i>
-        ${message}
-    `;
-    
-    toastContainer.appendChild(toast);
-    
-    // Remove after animation
-    setTimeout(() => {
-        toast.style.animation = 'toast-out 0.3s ease forwards';
-        setTimeout(() => toast.remove(), 300);
-    }, 3000);
+function csvRowToWordData(row) {
+    const wordData = {};
+    csvImport.mapping.forEach((field, i) => {
+        const value = (row[i] || '').trim();
+        if (!field || !value) return;
+        if (CSV_LIST_FIELDS.includes(field)) {
+            wordData[field] = [...(wordData[field] || []), ...splitListCell(value, field)];
+        } else if (field === 'level') {
+            const level = value.toUpperCase();
+            if (WORD_LEVELS.includes(level)) wordData.level = level;
+        } else {
+            wordData[field] = wordData[field] ? `${wordData[field]}, ${value}` : value;
+        }
+    });
+    return wordData;
 }
 
-function validateWordForm(english, turkish, level) {
-    let isValid = true;
-    
-    if (!english.trim()) {
-        showToast('Lütfen İngilizce kelimeyi girin', 'error');
-        isValid = false;
-    }
-    
-    if (!turkish.trim()) {
-        showToast('Lütfen Türkçe çevirisini girin', 'error');
-        isValid = false;
-    }
-    
-    if (!level) {
-        showToast('Lütfen seviye seçin', 'error');
-        isValid = false;
-    }
-    
-    return isValid;
+// Fill empty fields and extend lists of an existing word with imported values
+function mergeIntoExistingWord(existing, wordData) {
+    const update = {};
+    Object.entries(wordData).forEach(([field, value]) => {
+        if (Array.isArray(value)) {
+            const merged = Array.from(new Set([...(existing[field] || []), ...value]));
+            if (merged.length !== (existing[field] || []).length) update[field] = merged;
+        } else if (value && !existing[field]) {
+            update[field] = value;
+        }
+    });
+    if (Object.keys(update).length === 0) return false;
+    updateWord(existing.id, update);
+    return true;
 }
 
-function handleAddWordFormSubmit(event) {
-    event.preventDefault();
-    
-    // Get form elements
-    const form = event.target;
-    const isModal = form.id === 'word-form';
-    const prefix = isModal ? 'f-' : 'page-';
-    
-    const englishInput = document.getElementById(prefix + 'english');
-    const turkishInput = document.getElementById(prefix + 'turkish');
-    const levelSelect = document.getElementById(prefix + 'level');
-    
-    if (!englishInput || !turkishInput || !levelSelect) {
-        showToast('Form fields not found. Please try again.', 'error');
-        return;
-    }
-    
-    if (!validateWordForm(englishInput.value, turkishInput.value, levelSelect.value)) {
+function commitCsvImport() {
+    if (!csvImport) return;
+    if (!csvImport.mapping.includes('english')) {
+        showToast('Please map one column to English.', 'warning');
         return;
     }
 
-    // Create formData
-    const formData = {
-        english: englishInput.value.trim(),
-        turkish: turkishInput.value.trim(),
-        pronunciation: document.getElementById(prefix + 'pron')?.value?.trim() || '',
-        englishExplanation: getFirstFieldValue(prefix + 'engExp', prefix + 'englishExplanation') || '',
-        turkishExplanation: getFirstFieldValue(prefix + 'turkExp', prefix + 'turkishExp', prefix + 'turkishExplanation') || '',
-        level: levelSelect.value,
-        synonyms: document.getElementById(prefix + 'syn')?.value?.split(',').map(s => s.trim()).filter(Boolean) || [],
-        antonyms: document.getElementById(prefix + 'ant')?.value?.split(',').map(s => s.trim()).filter(Boolean) || [],
-        examples: document.getElementById(prefix + 'examples')?.value?.split('\n').map(s => s.trim()).filter(Boolean) || [],
-        categories: getSelectedCategories(prefix) || [],
-        notes: document.getElementById(prefix + 'notes')?.value?.trim() || '',
-        favorite: document.getElementById(prefix + 'fav')?.checked || false
-    };
-
-    try {
-        // Duplicate detection: if a word with same english/turkish exists, warn user
-        const existing = findDuplicate(formData.english, formData.turkish);
-        if (existing) {
-            const open = confirm(`The word "${formData.english}" seems to already exist as "${existing.english} - ${existing.turkish}".\n\nPress OK to view the existing entry, or Cancel to add this as a separate entry.`);
-            if (open) {
-                // Navigate to dictionary and highlight existing
-                navigateTo('dictionary');
-                setTimeout(() => {
-                    const card = document.querySelector(`[data-testid="card-word-${existing.id}"]`);
-                    if (card) {
-                        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                        card.classList.add('flash-new');
-                        setTimeout(() => card.classList.remove('flash-new'), 1800);
-                    }
-                }, 150);
+    const result = { added: 0, updated: 0, skipped: 0, invalid: 0 };
+    runAsCommandBatch(`Import ${csvImport.fileName}`, () => {
+        getCsvDataRows().forEach(row => {
+            const wordData = csvRowToWordData(row);
+            if (!wordData.english) {
+                result.invalid++;
                 return;
             }
-        }
-
-        // Add the word
-        const newWord = addWord(formData);
 
-        // Show success message with toast
-        showToast('Kelimeniz başarıyla eklendi: ' + newWord.english, 'success');
+            const existing = findDuplicate(wordData.english, wordData.turkish);
+            if (existing && csvImport.duplicates === 'skip') {
+                result.skipped++;
+            } else if (existing && csvImport.duplicates === 'update') {
+                if (mergeIntoExistingWord(existing, wordData)) result.updated++;
+                else result.skipped++;
+            } else {
+                addWord(wordData);
+                result.added++;
+            }
+        });
+    });
 
-        // Reset form
-        event.target.reset();
+    cancelCsvImport();
+    saveState();
+    updateStats();
 
-        // If modal, close it
-        if (isModal) {
-            closeModal('panel-addWord');
-        }
+    const parts = [`Added ${result.added}`];
+    if (result.updated) parts.push(`updated ${result.updated}`);
+    if (result.skipped) parts.push(`skipped ${result.skipped} duplicates`);
+    if (result.invalid) parts.push(`ignored ${result.invalid} rows without an English word`);
+    showToast(`${parts.join(', ')}.`, 'success', result.added || result.updated ? undoToastAction() : null);
 
-        // Update dictionary view immediately
-        navigateTo('dictionary');
+    if (result.added || result.updated) navigateTo('dictionary');
+}
 
-        // After a short delay, scroll to and highlight the new word
-        setTimeout(() => {
-            const wordCard = document.querySelector(`[data-testid="card-word-${newWord.id}"]`);
-            if (wordCard) {
-                wordCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                wordCard.classList.add('flash-new');
-                setTimeout(() => wordCard.classList.remove('flash-new'), 1800);
-            }
-        }, 100);
-    } catch (error) {
-        console.error('Error adding word:', error);
-        showToast('Kelime eklenirken bir hata oluştu. Lütfen tekrar deneyin.', 'error');
-    }
+function handleCsvFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = e => startCsvImport(e.target.result, file.name);
+    reader.readAsText(file);
 }
 
-function renderAddWord(container) {
-    // Mark view so CSS can target page-specific elements
-    container.setAttribute('data-view', 'add-word');
-    const categories = getAllCategories();
+// ==================== ANKI ====================
+// Anki's "Notes in Plain Text" format: tab separated fields with optional
+// "#key:value" header lines. The front/back HTML carries class names so our
+// own exports map back to the original fields on re-import.
+const ANKI_DECK_NAME = 'My Vocabulary';
+const ANKI_LEVEL_TAG = 'CEFR::';
+
+// Tags cannot contain spaces, so spaces become "_"; a literal "_" (and the
+// "%" used to escape it) are percent-encoded so categories round-trip
+function toAnkiTag(category) {
+    return category.trim().replace(/%/g, '%25').replace(/_/g, '%5F').replace(/\s+/g, '_');
+}
 
-    container.innerHTML = `
-        <div class="page-header">
-            <h1 class="page-title">
-                <i class="fas fa-plus-circle"></i>
-                Add New Word
-            </h1>
-            <p class="page-subtitle">Use this form to add a new word to your dictionary.</p>
-        </div>
+function fromAnkiTag(tag) {
+    return tag.replace(/%5F|%25|_/gi, match => (match === '_' ? ' ' : decodeURIComponent(match))).trim();
+}
 
-        <div class="card">
-            <form id="page-add-word-form" class="word-form" onsubmit="handleAddWordFormSubmit(event)">
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="page-english">English Word *</label>
-                        <input type="text" id="page-english" required data-testid="input-page-english">
-                    </div>
-                    <div class="form-group">
-                        <label for="page-turkish">Turkish Translation *</label>
-                        <input type="text" id="page-turkish" required data-testid="input-page-turkish">
-                    </div>
-                </div>
+// Anki fields cannot contain raw tabs or newlines
+function toAnkiField(html) {
+    const flat = html.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+    return flat.includes('"') ? `"${flat.replace(/"/g, '""')}"` : flat;
+}
 
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="page-pron">Pronunciation</label>
-                        <input type="text" id="page-pron" placeholder="/prəˌnʌnsiˈeɪʃən/" data-testid="input-page-pron">
-                    </div>
-                    <div class="form-group">
-                        <label for="page-level">Level *</label>
-                        <select id="page-level" required data-testid="select-page-level">
-                            <option value="A1">A1</option>
-                            <option value="A2">A2</option>
-                            <option value="B1">B1</option>
-                            <option value="B2">B2</option>
-                            <option value="C1" selected>C1</option>
-                            <option value="C2">C2</option>
-                        </select>
-                    </div>
-                </div>
+function buildAnkiFront(word) {
+    let html = `<div class="vocab-english">${escapeHtml(word.english)}</div>`;
+    if (word.pronunciation) html += `<div class="vocab-pron">${escapeHtml(word.pronunciation)}</div>`;
+    return html;
+}
 
-                <div class="form-group">
-                    <label for="page-engExp">English Explanation</label>
-                    <textarea id="page-engExp" rows="2" data-testid="input-page-engExp" placeholder="Detailed English definition..."></textarea>
-                </div>
+function buildAnkiBack(word) {
+    let html = `<div class="vocab-turkish">${escapeHtml(word.turkish)}</div>`;
+    if (word.turkishExplanation) html += `<div class="vocab-tr-exp">${escapeHtml(word.turkishExplanation)}</div>`;
+    if (word.englishExplanation) html += `<div class="vocab-en-exp">${escapeHtml(word.englishExplanation)}</div>`;
+    if (word.examples && word.examples.length > 0) {
+        html += `<ul class="vocab-examples">${word.examples.map(ex => `<li>${escapeHtml(ex)}</li>`).join('')}</ul>`;
+    }
+    return html;
+}
 
-                <div class="form-group">
-                    <label for="page-turkExp">Turkish Explanation</label>
-                    <textarea id="page-turkExp" rows="2" data-testid="input-page-turkExp" placeholder="Türkçe açıklama..."></textarea>
-                </div>
+function exportAnki() {
+    const words = Object.values(state.words);
+    if (words.length === 0) {
+        showToast('There are no words to export.', 'warning');
+        return;
+    }
 
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="page-syn">Synonyms (comma separated)</label>
-                        <input type="text" id="page-syn" data-testid="input-page-syn">
-                    </div>
-                    <div class="form-group">
-                        <label for="page-ant">Antonyms (comma separated)</label>
-                        <input type="text" id="page-ant" data-testid="input-page-ant">
-                    </div>
-                </div>
+    const lines = [
+        '#separator:tab',
+        '#html:true',
+        '#guid column:1',
+        '#notetype:Basic (and reversed card)',
+        `#deck:${ANKI_DECK_NAME}`,
+        '#tags column:4'
+    ];
 
-                <div class="form-group">
-                    <label for="page-examples">Example Sentences (one per line)</label>
-                    <textarea id="page-examples" rows="3" data-testid="input-page-examples" placeholder="This is an example sentence.\nHere's another example."></textarea>
-                </div>
-                
-                <div class="form-group">
-                    <label for="page-notes">Notes</label>
-                    <textarea id="page-notes" rows="3" data-testid="input-page-notes" placeholder="Short usage notes, register, collocations..."></textarea>
-                </div>
+    words.forEach(word => {
+        const tags = (word.categories || []).map(toAnkiTag).filter(Boolean);
+        if (word.level) tags.push(ANKI_LEVEL_TAG + word.level);
+        lines.push([
+            word.id,
+            toAnkiField(buildAnkiFront(word)),
+            toAnkiField(buildAnkiBack(word)),
+            tags.join(' ')
+        ].join('\t'));
+    });
 
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="page-cats">Categories</label>
-                        <div class="custom-select-container" id="page-category-select">
-                            <div class="select-header" data-testid="input-page-cats">
-                                <div class="selected-categories"></div>
-                                <i class="fas fa-chevron-down"></i>
-                            </div>
-                            <div class="select-dropdown">
-                                <div class="search-box">
-                                    <input type="text" placeholder="Search categories..." data-testid="page-category-search">
-                                </div>
-                                <div class="category-list">
-                                </div>
-                                <div class="dropdown-footer">
-                                    <a href="#categories" class="btn-link">
-                                        <i class="fas fa-plus"></i>
-                                        Manage Categories
-                                    </a>
-                                </div>
-                            </div>
-                            <select id="page-cats" multiple style="display: none;" data-testid="input-page-cats"></select>
-                        </div>
-                    </div>
-                    <div class="form-group checkbox-group" style="align-items: center; display:flex; gap: .5rem;">
-                        <label style="display:flex; align-items:center; gap: .5rem;">
-                            <input type="checkbox" id="page-fav" data-testid="input-page-fav">
-                            <span>Mark as Favorite</span>
-                        </label>
-                    </div>
-                </div>
+    const dataBlob = new Blob([lines.join('\n')], { type: 'text/plain' });
+    const url = URL.createObjectURL(dataBlob);
+    const link = document.createElement('a');
+    link.href = url;
+    const date = new Date().toISOString().split('T')[0].replace(/-/g, '');
+    link.download = `vocab_anki_${date}.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+    showToast(`Exported ${words.length} notes for Anki.`, 'success');
+}
 
-                <div class="form-actions">
-                    <button type="button" class="btn-secondary" onclick="navigateTo('dashboard')">Cancel</button>
-                    <button type="submit" class="btn-primary">Add Word</button>
-                </div>
-            </form>
-        </div>
-    `;
+function parseAnkiHeaders(lines) {
+    const headers = {};
+    let count = 0;
+    while (count < lines.length && lines[count].startsWith('#')) {
+        const match = lines[count].match(/^#([^:]+):(.*)$/);
+        if (match) headers[match[1].trim()] = match[2].trim();
+        count++;
+    }
+    return { headers, count };
+}
 
-    // Initialize category select
-    initializeCategoryDropdown('page');
+function readAnkiHtml(html) {
+    return new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html').body;
+}
 
-    // Wire form submit
-    const form = document.getElementById('page-add-word-form');
-    form.addEventListener('submit', (e) => {
-        e.preventDefault();
+function ankiText(node) {
+    if (!node) return '';
+    node.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    return node.textContent.replace(/\u00A0/g, ' ').trim();
+}
 
-        const selectedCategories = getSelectedCategories('page');
-        const wordData = {
-            english: document.getElementById('page-english').value.trim(),
-            turkish: document.getElementById('page-turkish').value.trim(),
-            pronunciation: document.getElementById('page-pron').value.trim(),
-            turkishExplanation: document.getElementById('page-turkExp').value.trim(),
-            englishExplanation: document.getElementById('page-engExp').value.trim(),
-            synonyms: document.getElementById('page-syn').value.split(',').map(s => s.trim()).filter(Boolean),
-            antonyms: document.getElementById('page-ant').value.split(',').map(s => s.trim()).filter(Boolean),
-            examples: document.getElementById('page-examples').value.split('\n').map(s => s.trim()).filter(Boolean),
-            level: document.getElementById('page-level').value,
-            categories: selectedCategories,
-            favorite: document.getElementById('page-fav').checked
-        };
+function ankiNoteToWordData(front, back, tags) {
+    const frontBody = readAnkiHtml(front);
+    const backBody = readAnkiHtml(back);
+    const wordData = { categories: [] };
 
-        if (!wordData.english) {
-            showToast('Please enter an English word.', 'warning');
-            return;
-        }
+    const english = frontBody.querySelector('.vocab-english');
+    if (english) {
+        wordData.english = ankiText(english);
+        wordData.pronunciation = ankiText(frontBody.querySelector('.vocab-pron'));
+    } else {
+        // Foreign decks: first line of the front is the headword
+        wordData.english = ankiText(frontBody).split('\n')[0].trim();
+    }
 
-        if (!wordData.turkish) {
-            showToast('Please enter the Turkish translation.', 'warning');
-            return;
-        }
+    const turkish = backBody.querySelector('.vocab-turkish');
+    if (turkish) {
+        wordData.turkish = ankiText(turkish);
+        wordData.turkishExplanation = ankiText(backBody.querySelector('.vocab-tr-exp'));
+        wordData.englishExplanation = ankiText(backBody.querySelector('.vocab-en-exp'));
+        wordData.examples = Array.from(backBody.querySelectorAll('.vocab-examples li')).map(li => ankiText(li)).filter(Boolean);
+    } else {
+        const lines = ankiText(backBody).split('\n').map(l => l.trim()).filter(Boolean);
+        wordData.turkish = lines.shift() || '';
+        if (lines.length > 0) wordData.turkishExplanation = lines.join(' ');
+    }
 
-        if (!wordData.level) {
-            showToast('Please select a level for the word.', 'warning');
-            return;
+    tags.forEach(tag => {
+        if (tag.startsWith(ANKI_LEVEL_TAG)) {
+            const level = tag.slice(ANKI_LEVEL_TAG.length).toUpperCase();
+            if (WORD_LEVELS.includes(level)) wordData.level = level;
+        } else if (tag.toLowerCase() !== 'leech' && tag.toLowerCase() !== 'marked') {
+            wordData.categories.push(fromAnkiTag(tag));
         }
+    });
 
-        const newWord = addWord(wordData);
-
-        // Immediately persist (don't rely solely on debounced save) and update UI
-        updateStats();
-        saveState();
-
-        showToast('Word added successfully!', 'success');
-
-        // Re-render dictionary immediately so user sees the new word without reload
-        const main = document.getElementById('mainContent');
-        renderDictionary(main);
+    return wordData;
+}
 
-        // Scroll to and briefly highlight the newly added card (if present)
-        setTimeout(() => {
-            const el = document.querySelector(`[data-testid="card-word-${newWord.id}"]`);
-            if (el) {
-                el.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                el.classList.add('flash-new');
-                setTimeout(() => el.classList.remove('flash-new'), 1800);
+function importAnki(fileContent, fileName) {
+    const lines = fileContent.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const { headers, count } = parseAnkiHeaders(lines);
+    const separators = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+    const delimiter = separators[(headers.separator || 'tab').toLowerCase()] || headers.separator || '\t';
+    const rows = parseDelimited(lines.slice(count).join('\n'), delimiter);
+
+    // Metadata columns are 1-based in the header; the remaining columns are note fields
+    const metaColumns = ['guid column', 'notetype column', 'deck column']
+        .map(key => Number(headers[key]) - 1)
+        .filter(index => index >= 0);
+    const tagsColumn = Number(headers['tags column']) - 1;
+
+    const result = { added: 0, updated: 0, skipped: 0 };
+    runAsCommandBatch(`Import ${fileName}`, () => {
+        rows.forEach(row => {
+            const fields = row.filter((_, i) => i !== tagsColumn && !metaColumns.includes(i));
+            const tags = tagsColumn >= 0 && row[tagsColumn] ? row[tagsColumn].split(/\s+/).filter(Boolean) : [];
+            const wordData = ankiNoteToWordData(fields[0] || '', fields[1] || '', tags);
+            if (!wordData.english) {
+                result.skipped++;
+                return;
             }
-        }, 120);
 
-        // Navigate to dictionary route (updates URL)
-        navigateTo('dictionary');
+            const existing = findDuplicate(wordData.english, wordData.turkish);
+            if (existing) {
+                if (mergeIntoExistingWord(existing, wordData)) result.updated++;
+                else result.skipped++;
+            } else {
+                addWord(wordData);
+                result.added++;
+            }
+        });
     });
 
-    // --- AI Assistant helper for page add word ---
-    // The helper UI is provided in the collapsible `page-ai-helper` below.
-    const pageForm = document.getElementById('page-add-word-form');
+    saveState();
+    updateStats();
+
+    const parts = [`Added ${result.added}`];
+    if (result.updated) parts.push(`updated ${result.updated}`);
+    if (result.skipped) parts.push(`skipped ${result.skipped}`);
+    showToast(`${parts.join(', ')} Anki notes.`, 'success', result.added || result.updated ? undoToastAction() : null);
+
+    if (result.added || result.updated) navigateTo('dictionary');
+}
+
+function handleAnkiFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = e => importAnki(e.target.result, file.name);
+    reader.readAsText(file);
+}
+
+// ==================== WORD CRUD FUNCTIONS ====================
+function addWord(wordData) {
+    const id = generateUUID();
+    const word = {
+        id,
+        english: wordData.english.trim(),
+        turkish: wordData.turkish?.trim() || '',
+        pronunciation: wordData.pronunciation?.trim() || '',
+        partOfSpeech: wordData.partOfSpeech?.trim().toLowerCase() || '',
+        turkishExplanation: wordData.turkishExplanation?.trim() || '',
+        englishExplanation: wordData.englishExplanation?.trim() || '',
+        synonyms: wordData.synonyms || [],
+        antonyms: wordData.antonyms || [],
+        examples: wordData.examples || [],
+        level: wordData.level || 'C1',
+        categories: wordData.categories || [],
+    notes: wordData.notes?.trim() || '',
+        favorite: wordData.favorite || false,
+        stats: {
+            addedAt: new Date().toISOString(),
+            timesTested: 0,
+            correctCount: 0,
+            wrongCount: 0,
+            lastTested: null,
+            difficultyScore: 0,
+            nextReviewDate: new Date().toISOString(),
+            learned: false,
+            ...createSrsStats()
+        }
+    };
+    word.translations = wordData.translations || [];
+    syncTranslations(word, word.translations.length > 0 ? 'translations' : 'turkish');
+    // Mirror Turkish explanation across known aliases so renderers/readers find it
+    word.turkExp = word.turkishExplanation;
+    word.turkishExp = word.turkishExplanation;
+    
+    state.words[id] = word;
+    state.appStats.totalAdded = Object.keys(state.words).length;
+    recordWordCommand(`Add "${word.english}"`, id, null);
+    updateStats();
+    debouncedSaveState();
+    return word;
+}
+
+// Find possible duplicate by english (case-insensitive) or turkish
+function findDuplicate(english, turkish) {
+    if (!english) return null;
+    const e = english.trim().toLowerCase();
+    const t = (turkish || '').trim().toLowerCase();
+    return Object.values(state.words).find(w => {
+        if (w.english && w.english.trim().toLowerCase() === e) return true;
+        if (t && w.turkish && w.turkish.trim().toLowerCase() === t) return true;
+        return false;
+    }) || null;
+}
+
+function updateWord(id, wordData) {
+    if (!state.words[id]) return null;
+    const before = cloneData(state.words[id]);
+    
+    state.words[id] = {
+        ...state.words[id],
+        ...wordData,
+        stats: state.words[id].stats // Preserve stats
+    };
+    // Normalize Turkish explanation aliases if provided
+    const updated = state.words[id];
+    if (wordData.translations !== undefined) {
+        syncTranslations(updated, 'translations');
+    } else if (wordData.turkish !== undefined) {
+        syncTranslations(updated, 'turkish');
+    }
+    if (wordData.turkishExplanation !== undefined) {
+        updated.turkExp = (wordData.turkishExplanation || '').trim();
+        updated.turkishExp = (wordData.turkishExplanation || '').trim();
+        updated.turkishExplanation = (wordData.turkishExplanation || '').trim();
+    }
+
+    if (wordData.notes !== undefined) {
+        updated.notes = (wordData.notes || '').trim();
+    }
+
+    recordWordCommand(`Edit "${updated.english}"`, id, before);
+    
+    updateStats();
+    debouncedSaveState();
+    return state.words[id];
+}
+
+function deleteWord(id) {
+    if (state.words[id]) {
+        const before = cloneData(state.words[id]);
+        delete state.words[id];
+        recordWordCommand(`Delete "${before.english}"`, id, before);
+        state.appStats.totalAdded = Object.keys(state.words).length;
+        updateStats();
+        debouncedSaveState();
+        return true;
+    }
+    return false;
+}
+
+function toggleFavorite(id) {
+    if (state.words[id]) {
+        const before = cloneData(state.words[id]);
+        state.words[id].favorite = !state.words[id].favorite;
+        recordWordCommand(`${before.favorite ? 'Unfavorite' : 'Favorite'} "${before.english}"`, id, before);
+        updateStats();
+        debouncedSaveState();
+        return state.words[id].favorite;
+    }
+    return false;
+}
+
+// speed ('fast' / 'slow', see getResponseSpeed) nudges the difficulty score:
+// a slow right answer is shaky, a quick one is solid
+function updateWordStats(id, outcome, speed = null) {
+    const word = state.words[id];
+    if (!word) return;
+
+    // Accept either a boolean (legacy callers) or an explicit grade
+    const grade = typeof outcome === 'string' ? outcome : (outcome ? 'good' : 'again');
+    if (!SRS_GRADES.includes(grade)) return;
+
+    scheduleWord(word, grade);
+    recordAnswerCounters(word, grade, speed);
+
+    updateStats();
+    debouncedSaveState();
+}
+
+function scheduleWord(word, grade) {
+    ensureSrsStats(word);
+    scheduleReview(word.stats, grade);
+
+    // A word counts as learned while its interval is at the mature threshold; a lapse un-learns it
+    word.stats.learned = word.stats.interval >= SRS_LEARNED_INTERVAL;
+}
+
+// Test counters and difficulty, kept apart from scheduling so answers given
+// during learning steps still count
+function recordAnswerCounters(word, grade, speed = null) {
+    markIntroduced(word);
+    word.stats.timesTested++;
+    word.stats.lastTested = new Date().toISOString();
+
+    if (grade === 'again') {
+        word.stats.wrongCount++;
+        word.stats.difficultyScore += 2;
+    } else {
+        word.stats.correctCount++;
+        let decrease = { hard: 0, good: 1, easy: 2 }[grade];
+        if (speed === 'slow') decrease--;
+        if (speed === 'fast' && grade !== 'hard') decrease++;
+        word.stats.difficultyScore = Math.max(0, word.stats.difficultyScore - decrease);
+    }
+}
+
+// ==================== SPACED REPETITION ====================
+// SM-2 style scheduler with an FSRS-like stability estimate. Every word keeps
+// its own memory model in word.stats: easeFactor, stability (days until recall
+// drops to ~90%), repetitions, lapses and the last scheduled interval.
+const SRS_GRADES = ['again', 'hard', 'good', 'easy'];
+const SRS_DEFAULT_EASE = 2.5;
+const SRS_MIN_EASE = 1.3;
+const SRS_MAX_EASE = 3.0;
+const SRS_MAX_INTERVAL = 365;
+const SRS_LEARNED_INTERVAL = 21;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(fromIso, to = new Date()) {
+    if (!fromIso) return 0;
+    return Math.max(0, (to - new Date(fromIso)) / DAY_MS);
+}
+
+function createSrsStats() {
+    return {
+        easeFactor: SRS_DEFAULT_EASE,
+        stability: 0,
+        interval: 0,
+        repetitions: 0,
+        lapses: 0
+    };
+}
+
+// Seed the memory model for words created before the SRS engine existed
+function ensureSrsStats(word) {
+    const stats = word.stats;
+    if (typeof stats.easeFactor === 'number') return false;
+
+    const correct = stats.correctCount || 0;
+    const wrong = stats.wrongCount || 0;
+
+    // The gap between the last test and the scheduled review is the last interval we gave
+    let interval = 0;
+    if (stats.lastTested && stats.nextReviewDate) {
+        interval = Math.round((new Date(stats.nextReviewDate) - new Date(stats.lastTested)) / DAY_MS);
+        interval = Math.min(Math.max(0, interval), SRS_MAX_INTERVAL);
+    }
+
+    const ease = SRS_DEFAULT_EASE + 0.05 * correct - 0.15 * wrong;
+    Object.assign(stats, {
+        easeFactor: Math.round(Math.min(SRS_MAX_EASE, Math.max(SRS_MIN_EASE, ease)) * 100) / 100,
+        stability: interval || (correct > 0 ? 1 : 0),
+        interval,
+        repetitions: interval > 0 ? correct : 0,
+        lapses: wrong
+    });
+    return true;
+}
+
+// Probability (0..1) that the word is still remembered right now
+function getRetrievability(word, now = new Date()) {
+    const stats = word.stats;
+    if (!stats.lastTested || !stats.stability) return 0;
+    return Math.exp(Math.log(0.9) * daysBetween(stats.lastTested, now) / stats.stability);
+}
+
+function scheduleReview(stats, grade, now = new Date()) {
+    // Credit reviews that were remembered despite being overdue
+    const elapsed = daysBetween(stats.lastTested, now);
+    const base = Math.max(stats.interval || 0, Math.floor(elapsed));
+    let interval;
+
+    if (grade === 'again') {
+        stats.lapses++;
+        stats.repetitions = 0;
+        stats.easeFactor = Math.max(SRS_MIN_EASE, stats.easeFactor - 0.2);
+        stats.stability = Math.max(1, stats.stability * 0.3);
+        interval = 1;
+    } else {
+        stats.repetitions++;
+        if (grade === 'hard') {
+            stats.easeFactor = Math.max(SRS_MIN_EASE, stats.easeFactor - 0.15);
+        } else if (grade === 'easy') {
+            stats.easeFactor = Math.min(SRS_MAX_EASE, stats.easeFactor + 0.15);
+        }
+
+        if (stats.repetitions === 1) {
+            interval = grade === 'easy' ? 4 : 1;
+        } else if (stats.repetitions === 2 && base < 6) {
+            interval = grade === 'hard' ? 3 : grade === 'easy' ? 8 : 6;
+        } else if (grade === 'hard') {
+            interval = Math.max(base + 1, base * 1.2);
+        } else if (grade === 'good') {
+            interval = Math.max(base + 1, base * stats.easeFactor);
+        } else {
+            interval = Math.max(base + 2, base * stats.easeFactor * 1.3);
+        }
+        interval = Math.min(SRS_MAX_INTERVAL, Math.round(interval));
+        stats.stability = Math.max(stats.stability, interval);
+    }
+
+    stats.easeFactor = Math.round(stats.easeFactor * 100) / 100;
+    stats.interval = interval;
+    const nextDate = new Date(now);
+    nextDate.setDate(nextDate.getDate() + interval);
+    stats.nextReviewDate = nextDate.toISOString();
+    return stats;
+}
+
+// ==================== SCHEMA MIGRATIONS ====================
+// Ordered list of upgrades applied to saved and imported data. Each entry
+// brings data from the previous version up to `version`; migrate() returns
+// the number of records it changed.
+const MIGRATIONS = [
+    {
+        version: '1.1',
+        description: 'Fill missing word fields and Turkish explanation aliases',
+        migrate(data) {
+            let changed = 0;
+            Object.keys(data.words).forEach(id => {
+                const before = JSON.stringify(data.words[id]);
+                data.words[id] = normalizeWord(data.words[id], id, data.meta.createdAt);
+                if (JSON.stringify(data.words[id]) !== before) changed++;
+            });
+            return changed;
+        }
+    },
+    {
+        version: '1.2',
+        description: 'Seed the spaced repetition memory model from answer counters',
+        migrate(data) {
+            return Object.values(data.words).filter(word => ensureSrsStats(word)).length;
+        }
+    },
+    {
+        version: '1.3',
+        description: 'Split comma-separated Turkish translations into a list',
+        migrate(data) {
+            let changed = 0;
+            Object.values(data.words).forEach(word => {
+                if (Array.isArray(word.translations) && word.translations.length > 0) return;
+                word.translations = parseTranslations(word.turkish);
+                changed++;
+            });
+            return changed;
+        }
+    }
+];
+
+const WORD_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+function compareVersions(a, b) {
+    const pa = String(a || '0').split('.').map(Number);
+    const pb = String(b || '0').split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+function toStringList(value, separator = ',') {
+    if (Array.isArray(value)) return value.filter(v => v !== null && v !== undefined && v !== '');
+    if (typeof value === 'string') return value.split(separator).map(s => s.trim()).filter(Boolean);
+    return [];
+}
+
+// "karar vermek, kararlaştırmak (resmi)" -> two translations; commas inside parentheses stay
+function parseTranslations(value) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    String(value || '').split('').forEach(ch => {
+        if (ch === '(' || ch === '[') depth++;
+        if ((ch === ')' || ch === ']') && depth > 0) depth--;
+        if ((ch === ',' || ch === ';') && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    });
+    parts.push(current);
+
+    const seen = new Set();
+    return parts.map(part => part.trim()).filter(part => {
+        const key = part.toLocaleLowerCase('tr-TR');
+        if (!part || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function getTranslations(word) {
+    if (Array.isArray(word.translations) && word.translations.length > 0) return word.translations;
+    return parseTranslations(word.turkish);
+}
+
+// Keep word.turkish and word.translations describing the same list
+function syncTranslations(word, source) {
+    if (source === 'translations') {
+        word.translations = toStringList(word.translations).map(t => String(t).trim()).filter(Boolean);
+    } else {
+        word.translations = parseTranslations(word.turkish);
+    }
+    word.turkish = word.translations.join(', ');
+}
+
+// Bring a single word record up to the current schema without losing data
+function normalizeWord(raw, id, fallbackDate) {
+    const word = { ...raw };
+    const text = value => (typeof value === 'string' ? value.trim() : (value === null || value === undefined ? '' : String(value)));
+
+    word.id = id || word.id || generateUUID();
+    word.english = text(word.english);
+    word.turkish = text(word.turkish);
+    syncTranslations(word, Array.isArray(word.translations) && word.translations.length > 0 ? 'translations' : 'turkish');
+    word.pronunciation = text(word.pronunciation);
+    word.partOfSpeech = text(word.partOfSpeech).toLowerCase();
+    word.englishExplanation = text(word.englishExplanation);
+    word.turkishExplanation = text(getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp'));
+    word.turkExp = word.turkishExplanation;
+    word.turkishExp = word.turkishExplanation;
+    word.synonyms = toStringList(word.synonyms);
+    word.antonyms = toStringList(word.antonyms);
+    word.examples = toStringList(word.examples, '\n');
+    word.categories = toStringList(word.categories);
+    word.level = WORD_LEVELS.includes(word.level) ? word.level : 'C1';
+    word.notes = text(word.notes);
+    word.favorite = Boolean(word.favorite);
+
+    const stats = word.stats && typeof word.stats === 'object' ? { ...word.stats } : {};
+    word.stats = {
+        ...stats,
+        addedAt: isValidDate(stats.addedAt) ? stats.addedAt : (isValidDate(fallbackDate) ? fallbackDate : new Date().toISOString()),
+        timesTested: Number(stats.timesTested) || 0,
+        correctCount: Number(stats.correctCount) || 0,
+        wrongCount: Number(stats.wrongCount) || 0,
+        lastTested: isValidDate(stats.lastTested) ? stats.lastTested : null,
+        difficultyScore: Number(stats.difficultyScore) || 0,
+        nextReviewDate: isValidDate(stats.nextReviewDate) ? stats.nextReviewDate : new Date().toISOString(),
+        learned: Boolean(stats.learned)
+    };
+    return word;
+}
+
+// Words are stored under their id and sessions under their quiz id, so both
+// have to match the state and be unique. Older retakes reused the quiz id.
+function repairRecordKeys(data) {
+    Object.entries(data.words).forEach(([id, word]) => {
+        if (word && word.id !== id) data.words[id] = { ...word, id };
+    });
+    const seenQuizIds = new Set();
+    data.history = data.history.map(entry => {
+        const repaired = !entry.quizId || seenQuizIds.has(entry.quizId) ? { ...entry, quizId: generateUUID() } : entry;
+        seenQuizIds.add(repaired.quizId);
+        return repaired;
+    });
+}
+
+// Fill defaults, then run every migration newer than the data's version
+function migrateState(raw) {
+    const defaults = createDefaultState();
+    const data = {
+        ...defaults,
+        ...raw,
+        meta: { ...defaults.meta, version: '1.0', ...raw.meta },
+        settings: { ...defaults.settings, ...raw.settings },
+        appStats: {
+            ...defaults.appStats,
+            ...raw.appStats,
+            streak: { ...defaults.appStats.streak, ...(raw.appStats && raw.appStats.streak) }
+        }
+    };
+    if (!data.words || typeof data.words !== 'object') data.words = {};
+    if (!Array.isArray(data.categories)) data.categories = [];
+    if (!Array.isArray(data.history)) data.history = [];
+    repairRecordKeys(data);
+
+    const applied = [];
+    MIGRATIONS.forEach(migration => {
+        if (compareVersions(data.meta.version, migration.version) >= 0) return;
+        const changed = migration.migrate(data);
+        data.meta.version = migration.version;
+        applied.push({ version: migration.version, description: migration.description, changed });
+    });
+
+    return { data, applied };
+}
+
+function reportMigrations(applied) {
+    const changed = applied.reduce((sum, m) => sum + m.changed, 0);
+    showToast(`Data upgraded to v${applied[applied.length - 1].version} (${changed} records updated).`, 'info');
+}
+
+// ==================== UNDO / REDO ====================
+// Each command stores copies of the data it touched before and after the
+// change, so undo and redo simply put one of the two copies back.
+const UNDO_LIMIT = 50;
+let undoStack = [];
+let redoStack = [];
+
+let commandBatch = null;
+
+function pushCommand(command) {
+    if (commandBatch) {
+        commandBatch.push(command);
+        return;
+    }
+    undoStack.push(command);
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+    redoStack = [];
+}
+
+// Group every command recorded inside `fn` into a single undo step
+function runAsCommandBatch(label, fn) {
+    const outer = commandBatch;
+    const commands = [];
+    commandBatch = commands;
+    try {
+        fn();
+    } finally {
+        commandBatch = outer;
+    }
+    if (commands.length === 0) return;
+    pushCommand({
+        label,
+        undo: () => [...commands].reverse().forEach(c => c.undo()),
+        redo: () => commands.forEach(c => c.redo())
+    });
+}
+
+// Undo/redo put back only the fields the command changed. Stats are never
+// rolled back, so quiz progress made after the command survives.
+function recordWordCommand(label, id, before) {
+    const after = cloneData(state.words[id]) || null;
+    const fields = before && after
+        ? Object.keys({ ...before, ...after }).filter(key =>
+            key !== 'stats' && JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+        : null;
+    // Stats of the word at the moment an undo/redo removed it, for when it comes back
+    let removedStats = null;
+
+    const apply = record => {
+        const current = state.words[id];
+        if (!record) {
+            if (current) removedStats = cloneData(current.stats);
+            delete state.words[id];
+        } else if (!current || !fields) {
+            state.words[id] = cloneData(record);
+            if (removedStats) state.words[id].stats = removedStats;
+        } else {
+            fields.forEach(key => {
+                if (record[key] === undefined) delete current[key];
+                else current[key] = cloneData(record[key]);
+            });
+        }
+    };
+
+    pushCommand({
+        label,
+        undo: () => apply(before),
+        redo: () => apply(after)
+    });
+}
+
+// Category changes touch the top-level list and every word's category array
+function captureCategories() {
+    const words = {};
+    Object.values(state.words).forEach(w => { words[w.id] = [...(w.categories || [])]; });
+    return { categories: [...(state.categories || [])], words };
+}
+
+function restoreCategories(snapshot) {
+    state.categories = [...snapshot.categories];
+    Object.entries(snapshot.words).forEach(([id, categories]) => {
+        if (state.words[id]) state.words[id].categories = [...categories];
+    });
+}
+
+function recordCategoryCommand(label, before) {
+    const after = captureCategories();
+    pushCommand({
+        label,
+        undo: () => restoreCategories(before),
+        redo: () => restoreCategories(after)
+    });
+}
+
+function restoreNotes(notes) {
+    notesCache = cloneData(notes);
+    _saveNotesToStorage(notesCache);
+    if (!notesCache.some(n => n.id === selectedNoteId)) {
+        selectedNoteId = notesCache[0] ? notesCache[0].id : null;
+    }
+    if (document.getElementById('notesDrawer')?.classList.contains('active')) {
+        renderNotesList(document.getElementById('note-search')?.value || '');
+        loadSelectedNoteToEditor();
+    }
+}
+
+function recordNotesCommand(label, before) {
+    const after = cloneData(notesCache);
+    pushCommand({
+        label,
+        undo: () => restoreNotes(before),
+        redo: () => restoreNotes(after)
+    });
+}
+
+function refreshAfterHistoryChange() {
+    updateStats();
+    debouncedSaveState();
+    if (currentQuiz && window.location.hash === '#quiz') return; // don't reset a running question
+    handleRoute();
+}
+
+function undoLastCommand() {
+    const command = undoStack.pop();
+    if (!command) {
+        showToast('Nothing to undo.', 'info');
+        return;
+    }
+    command.undo();
+    redoStack.push(command);
+    refreshAfterHistoryChange();
+    showToast(`Undone: ${escapeHtml(command.label)}`, 'info', { label: 'Redo', onClick: redoLastCommand });
+}
+
+function redoLastCommand() {
+    const command = redoStack.pop();
+    if (!command) {
+        showToast('Nothing to redo.', 'info');
+        return;
+    }
+    command.redo();
+    undoStack.push(command);
+    refreshAfterHistoryChange();
+    showToast(`Redone: ${escapeHtml(command.label)}`, 'info', { label: 'Undo', onClick: undoLastCommand });
+}
+
+function undoToastAction() {
+    return { label: 'Undo', onClick: undoLastCommand };
+}
+
+// ==================== STATISTICS FUNCTIONS ====================
+function updateStats() {
+    const words = Object.values(state.words);
+    
+    state.appStats.totalAdded = words.length;
+    state.appStats.totalLearned = words.filter(w => w.stats.learned).length;
+    state.appStats.favoritesCount = words.filter(w => w.favorite).length;
+    state.appStats.hardCount = words.filter(w => isHardWord(w)).length;
+    
+    // Update header stats
+    document.getElementById('stat-total').textContent = state.appStats.totalAdded;
+    document.getElementById('stat-learned').textContent = state.appStats.totalLearned;
+    document.getElementById('stat-fav').textContent = state.appStats.favoritesCount;
+    document.getElementById('stat-hard').textContent = state.appStats.hardCount;
+    document.getElementById('stat-streak').textContent = state.appStats.streak.current;
+}
+
+function isHardWord(word) {
+    return word.stats.difficultyScore >= 3 || 
+           (word.stats.timesTested >= 3 && word.stats.wrongCount / word.stats.timesTested >= 0.4);
+}
+
+function getWordsByCategory(category) {
+    return Object.values(state.words).filter(w => w.categories.includes(category));
+}
+
+function getAllCategories() {
+    const categories = new Set();
+    Object.values(state.words).forEach(w => {
+        w.categories.forEach(cat => categories.add(cat));
+    });
+    // Include top-level categories list stored in state
+    if (Array.isArray(state.categories)) {
+        state.categories.forEach(cat => categories.add(cat));
+    }
+    return Array.from(categories).sort();
+}
+
+// New words are left to the study plan: their nextReviewDate is already set
+// when they are added, but they don't count as due until first studied
+function getDueWords() {
+    const now = new Date();
+    return Object.values(state.words).filter(w => {
+        const dueDate = new Date(w.stats.nextReviewDate);
+        return !isNewWord(w) && dueDate <= now;
+    });
+}
+
+// ==================== STUDY PLAN ====================
+// New words wait until the daily plan introduces them instead of all becoming
+// due the moment they are added. The plan takes the most overdue (then
+// hardest, then least likely to be recalled) reviews and the oldest new
+// words, up to the daily limits.
+// Words that haven't finished their learning steps stay in the new-word pool
+function isNewWord(word) {
+    return isLearningWord(word);
+}
+
+// Remember the day a word was first studied, for the daily new-word limit
+function markIntroduced(word) {
+    if (isLearningWord(word) && !word.stats.introducedAt) {
+        word.stats.introducedAt = new Date().toISOString();
+    }
+}
+
+function getDailyLimits() {
+    return { ...DAILY_LIMIT_DEFAULTS, ...(state.settings.dailyLimits || {}) };
+}
+
+function isToday(isoString) {
+    return Boolean(isoString) && new Date(isoString).toDateString() === new Date().toDateString();
+}
+
+function getStudyPlan() {
+    const limits = getDailyLimits();
+    const words = Object.values(state.words);
+    const done = {
+        newWords: words.filter(w => isToday(w.stats.introducedAt)).length,
+        reviews: words.filter(w => isToday(w.stats.lastTested) && !isToday(w.stats.introducedAt) && !isNewWord(w)).length
+    };
+
+    const now = Date.now();
+    const overdueDays = word => Math.floor((now - new Date(word.stats.nextReviewDate)) / DAY_MS);
+    const due = getDueWords().sort((a, b) =>
+        overdueDays(b) - overdueDays(a) ||
+        b.stats.difficultyScore - a.stats.difficultyScore ||
+        getRetrievability(a, now) - getRetrievability(b, now));
+    // Words already part-way through their learning steps come before untouched ones
+    const started = word => typeof word.stats.learningStep === 'number' ? 0 : 1;
+    const fresh = words.filter(isNewWord).sort((a, b) =>
+        started(a) - started(b) || new Date(a.stats.addedAt) - new Date(b.stats.addedAt));
+
+    const reviews = due.slice(0, Math.max(0, limits.reviews - done.reviews));
+    const newWords = fresh.slice(0, Math.max(0, limits.newWords - done.newWords));
+
+    // Spread the new words evenly between the reviews
+    const slot = (i, n) => (i + 1) / (n + 1);
+    const queue = [
+        ...reviews.map((word, i) => ({ word, at: slot(i, reviews.length) })),
+        ...newWords.map((word, i) => ({ word, at: slot(i, newWords.length) }))
+    ].sort((a, b) => a.at - b.at).map(item => item.word);
+
+    return { limits, done, reviews, newWords, words: queue, dueTotal: due.length, newTotal: fresh.length };
+}
+
+function renderStudyPlanCard() {
+    const plan = getStudyPlan();
+    const planned = plan.done.reviews + plan.done.newWords + plan.words.length;
+    const progress = planned > 0 ? Math.round(((plan.done.reviews + plan.done.newWords) / planned) * 100) : 100;
+    const heldBack = plan.dueTotal - plan.reviews.length;
+
+    return `
+        <div class="card study-plan-card" data-testid="card-study-plan">
+            <h3><i class="fas fa-calendar-day"></i> Today's Plan</h3>
+            <div class="study-plan-counts">
+                <div>
+                    <div class="stat-value" style="color: var(--v-warning);" data-testid="text-plan-reviews">${plan.reviews.length}</div>
+                    <div class="stat-label">Reviews left · ${plan.done.reviews}/${plan.limits.reviews} done</div>
+                </div>
+                <div>
+                    <div class="stat-value" style="color: var(--v-primary);" data-testid="text-plan-new">${plan.newWords.length}</div>
+                    <div class="stat-label">New words left · ${plan.done.newWords}/${plan.limits.newWords} done</div>
+                </div>
+            </div>
+            <div class="study-plan-progress"><div style="width: ${progress}%;"></div></div>
+            ${heldBack > 0 ? `
+                <p style="color: var(--v-text-tertiary); font-size: 0.9rem;">
+                    ${heldBack} more due ${heldBack === 1 ? 'review waits' : 'reviews wait'} for tomorrow's limit.
+                </p>
+            ` : ''}
+            ${plan.words.length > 0 ? `
+                <button class="btn-primary" onclick="startDailyTest()" data-testid="button-start-plan">
+                    <i class="fas fa-play"></i> Start Today's Plan (${plan.words.length})
+                </button>
+            ` : `
+                <p style="color: var(--v-success);"><i class="fas fa-check-circle"></i> All done for today!</p>
+            `}
+        </div>
+    `;
+}
+
+function syncDailyLimitSettings() {
+    const limits = getDailyLimits();
+    const newLimit = document.getElementById('daily-new-limit');
+    if (!newLimit) return;
+    newLimit.value = limits.newWords;
+    document.getElementById('daily-review-limit').value = limits.reviews;
+}
+
+function saveDailyLimitSettings() {
+    const read = (id, fallback) => {
+        const value = parseInt(document.getElementById(id).value);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    state.settings.dailyLimits = {
+        newWords: read('daily-new-limit', DAILY_LIMIT_DEFAULTS.newWords),
+        reviews: read('daily-review-limit', DAILY_LIMIT_DEFAULTS.reviews)
+    };
+    saveState();
+}
+
+// ==================== REVIEW FORECAST ====================
+// Upcoming workload from stats.nextReviewDate and past activity from
+// state.history, drawn with plain HTML/CSS so the page works offline.
+const FORECAST_RANGES = [30, 90];
+const ACTIVITY_WEEKS = 26;
+
+let forecastRange = FORECAST_RANGES[0];
+
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+}
+
+function addDays(date, days) {
+    const day = new Date(date);
+    day.setDate(day.getDate() + days);
+    return day;
+}
+
+// Reviews per day from today on; everything overdue lands on today
+function buildReviewForecast(days) {
+    const today = startOfDay(new Date());
+    const forecast = Array.from({ length: days }, (_, i) => ({ date: addDays(today, i), count: 0, overdue: 0 }));
+    Object.values(state.words).filter(w => !isNewWord(w)).forEach(word => {
+        const due = startOfDay(word.stats.nextReviewDate);
+        const index = Math.round((due - today) / DAY_MS);
+        // Unreadable dates can't be placed on the chart
+        if (!Number.isFinite(index) || index >= days) return;
+        const day = forecast[Math.max(0, index)];
+        day.count++;
+        if (index < 0) day.overdue++;
+    });
+    return forecast;
+}
+
+function renderReviewForecast() {
+    const forecast = buildReviewForecast(forecastRange);
+    const max = Math.max(1, ...forecast.map(d => d.count));
+    const total = forecast.reduce((sum, d) => sum + d.count, 0);
+    const nextWeek = forecast.slice(0, 7).reduce((sum, d) => sum + d.count, 0);
+    const labelEvery = forecastRange > 30 ? 14 : 7;
+    const dayLabel = date => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    return `
+        <div class="forecast-summary">
+            <span><strong>${forecast[0].count}</strong> due today${forecast[0].overdue ? ` (${forecast[0].overdue} overdue)` : ''}</span>
+            <span><strong>${nextWeek}</strong> in the next 7 days</span>
+            <span><strong>${(total / forecastRange).toFixed(1)}</strong> per day on average</span>
+        </div>
+        <div class="forecast-chart" data-testid="forecast-chart">
+            ${forecast.map((day, i) => `
+                <div class="forecast-bar${i === 0 ? ' today' : ''}" title="${dayLabel(day.date)}: ${day.count} ${day.count === 1 ? 'review' : 'reviews'}">
+                    <div style="height: ${(day.count / max) * 100}%;"></div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="forecast-labels">
+            ${forecast.map((day, i) => `<span>${i % labelEvery === 0 ? (i === 0 ? 'Today' : dayLabel(day.date)) : ''}</span>`).join('')}
+        </div>
+    `;
+}
+
+function setForecastRange(days) {
+    forecastRange = days;
+    document.querySelectorAll('.forecast-range button').forEach(btn => {
+        btn.classList.toggle('active', Number(btn.dataset.days) === days);
+    });
+    const body = document.getElementById('forecast-body');
+    if (body) body.innerHTML = renderReviewForecast();
+}
+
+// Answers given per day, from quiz history
+function buildActivityMap() {
+    const activity = {};
+    state.history.forEach(entry => {
+        const key = new Date(entry.date).toDateString();
+        activity[key] = (activity[key] || 0) + (entry.details?.length || 0);
+    });
+    return activity;
+}
+
+function renderActivityHeatmap() {
+    const activity = buildActivityMap();
+    const today = startOfDay(new Date());
+    // Columns are weeks starting on Sunday, ending with the current week
+    const start = addDays(today, -(ACTIVITY_WEEKS - 1) * 7 - today.getDay());
+    const days = [];
+    for (let day = start; day <= today; day = addDays(day, 1)) {
+        days.push({ date: day, count: activity[day.toDateString()] || 0 });
+    }
+
+    const max = Math.max(1, ...days.map(d => d.count));
+    const activeDays = days.filter(d => d.count > 0);
+    const answers = activeDays.reduce((sum, d) => sum + d.count, 0);
+
+    return `
+        <div class="heatmap" data-testid="activity-heatmap">
+            ${days.map(day => `
+                <div class="heatmap-cell level-${day.count ? Math.ceil((day.count / max) * 4) : 0}"
+                    title="${day.date.toLocaleDateString()}: ${day.count} ${day.count === 1 ? 'answer' : 'answers'}"></div>
+            `).join('')}
+        </div>
+        <div class="heatmap-footer">
+            <span style="color: var(--v-text-secondary);">
+                ${answers} answers on ${activeDays.length} ${activeDays.length === 1 ? 'day' : 'days'} in the last ${ACTIVITY_WEEKS} weeks
+            </span>
+            <span class="heatmap-legend">
+                Less ${[0, 1, 2, 3, 4].map(level => `<span class="heatmap-cell level-${level}"></span>`).join('')} More
+            </span>
+        </div>
+    `;
+}
+
+// ==================== CONFUSION TRACKING ====================
+// A wrong answer that is some other word's English or Turkish means the two
+// words were mixed up. Pairs are counted in both directions.
+function buildAnswerLookup() {
+    const english = new Map();
+    const turkish = new Map();
+    Object.values(state.words).forEach(w => {
+        english.set(distractorKey(w.english), w.id);
+        getTranslations(w).forEach(t => {
+            const key = distractorKey(t);
+            if (!turkish.has(key)) turkish.set(key, w.id);
+        });
+        if (w.turkish && !turkish.has(distractorKey(w.turkish))) turkish.set(distractorKey(w.turkish), w.id);
+    });
+    return { english, turkish };
+}
+
+function findConfusedWord(word, type, userAnswer, lookup = buildAnswerLookup()) {
+    if (!userAnswer) return null;
+    let id = null;
+    switch (type) {
+        case 'direct':
+        case 'recall':
+        case 'matching':
+            id = lookup.turkish.get(distractorKey(userAnswer));
+            break;
+        case 'reverse':
+        case 'recall-reverse':
+        case 'definition':
+        case 'writing':
+        case 'listening':
+            id = lookup.english.get(distractorKey(userAnswer));
+            break;
+        case 'choose-definition': {
+            const other = Object.values(state.words).find(w => {
+                const definition = getDefinition(w);
+                return w.id !== word.id && definition && maskHeadword(definition.text, w) === userAnswer;
+            });
+            id = other ? other.id : null;
+            break;
+        }
+    }
+    return id && id !== word.id ? id : null;
+}
+
+function buildConfusionMatrix() {
+    const lookup = buildAnswerLookup();
+    const pairs = {};
+    state.history.forEach(entry => {
+        (entry.details || []).forEach(answer => {
+            if (answer.correct || answer.almost) return;
+            // Sessions recorded before confusions were tracked are resolved from the typed/picked answer
+            let otherId = answer.confusedWithId;
+            if (otherId === undefined) {
+                otherId = state.words[answer.wordId]
+                    ? findConfusedWord(state.words[answer.wordId], answer.type, answer.userAnswer, lookup)
+                    : null;
+            }
+            if (!otherId) return;
+
+            const [a, b] = [answer.wordId, otherId].sort();
+            const pair = pairs[`${a}|${b}`] || (pairs[`${a}|${b}`] = { a, b, count: 0, lastDate: null });
+            pair.count++;
+            if (!pair.lastDate || entry.date > pair.lastDate) pair.lastDate = entry.date;
+        });
+    });
+    return Object.values(pairs).sort((x, y) => y.count - x.count || (y.lastDate || '').localeCompare(x.lastDate || ''));
+}
+
+// The matrix only changes when a session is added to or removed from history,
+// so it is kept until then instead of rescanning history on every render
+let confusionMatrixCache = null;
+
+function getConfusionMatrix() {
+    const last = state.history[state.history.length - 1];
+    const key = `${state.history.length}|${last ? last.quizId : ''}|${last ? last.date : ''}`;
+    if (!confusionMatrixCache || confusionMatrixCache.history !== state.history || confusionMatrixCache.key !== key) {
+        confusionMatrixCache = { history: state.history, key, pairs: buildConfusionMatrix() };
+    }
+    // Deleted words keep their history, so their pairs are only hidden
+    return confusionMatrixCache.pairs.filter(pair => state.words[pair.a] && state.words[pair.b]);
+}
+
+function getConfusionPartners(wordId, matrix = getConfusionMatrix()) {
+    return matrix
+        .filter(pair => pair.a === wordId || pair.b === wordId)
+        .map(pair => ({ word: state.words[pair.a === wordId ? pair.b : pair.a], count: pair.count }))
+        .filter(partner => partner.word);
+}
+
+// Partners stay next to each other so matching rounds keep them together
+function getConfusedPairWords() {
+    const ids = new Set();
+    getConfusionMatrix().forEach(pair => {
+        ids.add(pair.a);
+        ids.add(pair.b);
+    });
+    return Array.from(ids).map(id => state.words[id]);
+}
+
+function renderConfusedPairs(pairs) {
+    const link = word => `<a href="#word:${word.id}" onclick="navigateTo('word:${word.id}'); return false;"><strong>${escapeHtml(word.english)}</strong></a> <span style="color: var(--v-text-tertiary);">${escapeHtml(word.turkish)}</span>`;
+    return `
+        <div class="confusion-list">
+            ${pairs.map(pair => `
+                <div class="confusion-row" data-testid="confused-pair">
+                    <span>${link(state.words[pair.a])}</span>
+                    <i class="fas fa-exchange-alt" style="color: var(--v-text-tertiary);"></i>
+                    <span>${link(state.words[pair.b])}</span>
+                    <span class="badge" style="margin-left: auto;">${pair.count}×</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// ==================== TEXT-TO-SPEECH ====================
+function playPronunciation(text, button) {
+    if (!('speechSynthesis' in window)) {
+        showToast('Text-to-speech is not supported in your browser.', 'warning');
+        return;
+    }
+    
+    if (button) {
+        button.classList.add('playing');
+    }
+    
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = 'en-US';
+    utterance.rate = 0.9;
+    utterance.pitch = 1;
+    
+    utterance.onend = () => {
+        if (button) {
+            button.classList.remove('playing');
+        }
+    };
+    
+    speechSynthesis.cancel(); // Cancel any ongoing speech
+    speechSynthesis.speak(utterance);
+}
+
+// ==================== SPA ROUTER ====================
+function navigateTo(route) {
+    window.location.hash = route;
+}
+
+function handleRoute() {
+    const route = window.location.hash.slice(1) || 'dashboard';
+    // For category detail routes like "category:Name" or "category/Name" map to base 'categories' nav
+    const finalRouteForNav = route.startsWith('category:') || route.startsWith('category/') ? 'categories' : route;
+
+    // Close any open modal when route changes
+    document.querySelectorAll('.modal.active').forEach(modal => {
+        modal.classList.remove('active');
+    });
+
+    // Update active nav item
+    document.querySelectorAll('.nav-item').forEach(item => {
+        item.classList.remove('active');
+        if (item.dataset.route === finalRouteForNav) {
+            item.classList.add('active');
+        }
+    });
+    
+    // Render appropriate view
+    const mainContent = document.getElementById('mainContent');
+    
+    // Route: category detail (allow both category:Name and category/Name)
+    if (route.startsWith('category:') || route.startsWith('category/')) {
+        const parts = route.split(/[:\/]/);
+        const encoded = parts.slice(1).join(':');
+        const catName = decodeURIComponent(encoded || '');
+        viewCategory(catName);
+        return;
+    }
+
+    // Route: word detail (word:<id> or word/<id>)
+    if (route.startsWith('word:') || route.startsWith('word/')) {
+        const parts = route.split(/[:\/]/);
+        const id = parts.slice(1).join(':');
+        const decodedId = decodeURIComponent(id || '');
+        renderWordDetail(mainContent, decodedId);
+        return;
+    }
+
+    switch (route) {
+        case 'dashboard':
+            renderDashboard(mainContent);
+            break;
+        case 'add-word':
+            renderAddWord(mainContent);
+            break;
+        case 'learn':
+            renderLearn(mainContent);
+            break;
+        case 'dictionary':
+            renderDictionary(mainContent);
+            break;
+        case 'favorites':
+            renderFavorites(mainContent);
+            break;
+        case 'hard':
+            renderHardWords(mainContent);
+            break;
+        case 'categories':
+            renderCategories(mainContent);
+            break;
+        case 'notes':
+            renderNotes(mainContent);
+            break;
+        case 'statistics':
+            renderStatistics(mainContent);
+            break;
+        case 'import-export':
+            renderImportExport(mainContent);
+            break;
+        case 'quiz':
+            if (currentQuiz) {
+                renderQuiz(mainContent);
+            } else if (state.activeQuiz) {
+                resumeQuiz();
+            } else {
+                navigateTo('learn');
+            }
+            break;
+        default:
+            renderDashboard(mainContent);
+    }
+    
+    // Close sidebar on mobile after navigation
+    if (window.innerWidth <= 968) {
+        document.getElementById('sidebar').classList.remove('active');
+    }
+}
+
+// ==================== VIEW RENDERERS ====================
+function renderDashboard(container) {
+    const words = Object.values(state.words);
+    const recentWords = words.sort((a, b) => 
+        new Date(b.stats.addedAt) - new Date(a.stats.addedAt)
+    ).slice(0, 6);
+    
+    const dueWords = getDueWords();
+    const plannedCount = getStudyPlan().words.length;
+    
+    container.innerHTML = `
+        <div class="page-header">
+            <h1 class="page-title">
+                <i class="fas fa-home"></i>
+                Dashboard
+            </h1>
+            <p class="page-subtitle">Welcome back! Here's your learning overview.</p>
+        </div>
+        
+        ${renderResumeQuizPrompt()}
+        
+        <div class="stats-grid">
+            <div class="stat-card">
+                <div class="stat-value" style="color: var(--v-primary);">${state.appStats.totalAdded}</div>
+                <div class="stat-label">Total Words</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value" style="color: var(--v-success);">${state.appStats.totalLearned}</div>
+                <div class="stat-label">Learned</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value" style="color: var(--v-warning);">${dueWords.length}</div>
+                <div class="stat-label">Due for Review</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value" style="color: var(--v-primary);">${state.appStats.streak.current} 🔥</div>
+                <div class="stat-label">Current Streak</div>
+            </div>
+        </div>
+        
+        <div style="margin-top: 2rem;">
+            <h2>Quick Actions</h2>
+            <div style="display: flex; gap: 1rem; margin-top: 1rem; flex-wrap: wrap;">
+                <button class="btn-primary" onclick="openAddWordModal()" data-testid="button-add-word">
+                    <i class="fas fa-plus"></i> Add New Word
+                </button>
+                <button class="btn-primary" onclick="navigateTo('learn')" data-testid="button-start-learning">
+                    <i class="fas fa-graduation-cap"></i> Start Learning
+                </button>
+                ${plannedCount > 0 ? `
+                    <button class="btn-secondary" onclick="startDailyTest()" data-testid="button-daily-test">
+                        <i class="fas fa-calendar-check"></i> Daily Test (${plannedCount} planned)
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+        
+        ${words.length > 0 ? `
+            <div style="margin-top: 2rem;">
+                ${renderStudyPlanCard()}
+            </div>
+        ` : ''}
+        
+        ${recentWords.length > 0 ? `
+            <div style="margin-top: 2rem;">
+                <h2>Recently Added</h2>
+                <div class="card-grid">
+                    ${recentWords.map(word => renderSimpleWordCard(word)).join('')}
+                </div>
+            </div>
+        ` : `
+            <div class="empty-state">
+                <i class="fas fa-book-open"></i>
+                <h3>No words yet</h3>
+                <p>Start building your vocabulary by adding your first word!</p>
+                <button class="btn-primary" onclick="openAddWordModal()">
+                    <i class="fas fa-plus"></i> Add Your First Word
+                </button>
+            </div>
+        `}
+    `;
+}
+
+function renderSimpleWordCard(word) {
+    return `
+        <div class="simple-word-card" onclick="navigateTo('word:${word.id}')" data-testid="card-word-${word.id}">
+            <div class="simple-word-english">${word.english}</div>
+            <div class="simple-word-turkish">${word.turkish}</div>
+        </div>
+    `;
+}
+
+function renderLearn(container) {
+    container.innerHTML = `
+        <div class="page-header">
+            <h1 class="page-title">
+                <i class="fas fa-graduation-cap"></i>
+                Learn Words
+            </h1>
+            <p class="page-subtitle">Practice and test your vocabulary knowledge.</p>
+        </div>
+        
+        ${renderResumeQuizPrompt()}
+        
+        <div class="card-grid">
+            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('all')" data-testid="card-quiz-all">
+                <h3><i class="fas fa-list"></i> All Words</h3>
+                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
+                    Practice all ${Object.keys(state.words).length} words in your dictionary
+                </p>
+            </div>
+            
+            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('due')" data-testid="card-quiz-due">
+                <h3><i class="fas fa-clock"></i> Due for Review</h3>
+                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
+                    ${getDueWords().length} words ready for review
+                </p>
+            </div>
+            
+            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('favorites')" data-testid="card-quiz-favorites">
+                <h3><i class="fas fa-star"></i> Favorites</h3>
+                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
+                    Practice your ${state.appStats.favoritesCount} favorite words
+                </p>
+            </div>
+            
+            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('hard')" data-testid="card-quiz-hard">
+                <h3><i class="fas fa-exclamation-triangle"></i> Hard Words</h3>
+                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
+                    Focus on ${state.appStats.hardCount} challenging words
+                </p>
+            </div>
+            
+            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('category')" data-testid="card-quiz-category">
+                <h3><i class="fas fa-tags"></i> By Category</h3>
+                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
+                    Choose from ${getAllCategories().length} categories
+                </p>
+            </div>
+
+            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('confused')" data-testid="card-quiz-confused">
+                <h3><i class="fas fa-random"></i> Confused Pairs</h3>
+                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
+                    Drill ${getConfusionMatrix().length} word pairs you tend to mix up
+                </p>
+            </div>
+
+            <div class="card" style="cursor: pointer;" onclick="openQuizConfig('custom')" data-testid="card-quiz-custom">
+                <h3><i class="fas fa-hand-pointer"></i> Custom Selection</h3>
+                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
+                    Choose specific words to practice
+                </p>
+            </div>
+            
+            <div class="card" style="cursor: pointer;" onclick="navigateTo('dictionary')" data-testid="card-browse-words">
+                <h3><i class="fas fa-book"></i> Browse Words</h3>
+                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
+                    View and manage your dictionary
+                </p>
+            </div>
+        </div>
+    `;
+    
+}
+
+// Toast notification system
+// `action` adds a button to the toast, e.g. { label: 'Undo', onClick: undoLastCommand }
+function showToast(message, type = 'info', action = null) {
+    const toastContainer = document.getElementById('toast-container');
+    if (!toastContainer) return;
+
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.innerHTML = `
+        <i class="fas fa-${type === 'success' ? 'check-circle' : 
+                          type === 'error' ? 'exclamation-circle' : 
+                          type === 'warning' ? 'exclamation-triangle' : 'info-circle'}"></i>
+        ${message}
+    `;
+
+    const dismiss = () => {
+        toast.style.animation = 'toast-out 0.3s ease forwards';
+        setTimeout(() => toast.remove(), 300);
+    };
+
+    if (action) {
+        const btn = document.createElement('button');
+        btn.className = 'toast-action';
+        btn.textContent = action.label;
+        btn.addEventListener('click', () => {
+            action.onClick();
+            dismiss();
+        });
+        toast.appendChild(btn);
+    }
+    
+    toastContainer.appendChild(toast);
+    
+    // Remove after animation; toasts with an action stay a little longer
+    setTimeout(dismiss, action ? 6000 : 3000);
+}
+
+function validateWordForm(english, turkish, level) {
+    let isValid = true;
+    
+    if (!english.trim()) {
+        showToast('Lütfen İngilizce kelimeyi girin', 'error');
+        isValid = false;
+    }
+    
+    if (!turkish.trim()) {
+        showToast('Lütfen Türkçe çevirisini girin', 'error');
+        isValid = false;
+    }
+    
+    if (!level) {
+        showToast('Lütfen seviye seçin', 'error');
+        isValid = false;
+    }
+    
+    return isValid;
+}
+
+function handleAddWordFormSubmit(event) {
+    event.preventDefault();
+    
+    // Get form elements
+    const form = event.target;
+    const isModal = form.id === 'word-form';
+    const prefix = isModal ? 'f-' : 'page-';
+    
+    const englishInput = document.getElementById(prefix + 'english');
+    const turkishInput = document.getElementById(prefix + 'turkish');
+    const levelSelect = document.getElementById(prefix + 'level');
+    
+    if (!englishInput || !turkishInput || !levelSelect) {
+        showToast('Form fields not found. Please try again.', 'error');
+        return;
+    }
+    
+    if (!validateWordForm(englishInput.value, turkishInput.value, levelSelect.value)) {
+        return;
+    }
+
+    // Create formData
+    const formData = {
+        english: englishInput.value.trim(),
+        turkish: turkishInput.value.trim(),
+        pronunciation: document.getElementById(prefix + 'pron')?.value?.trim() || '',
+        englishExplanation: getFirstFieldValue(prefix + 'engExp', prefix + 'englishExplanation') || '',
+        turkishExplanation: getFirstFieldValue(prefix + 'turkExp', prefix + 'turkishExp', prefix + 'turkishExplanation') || '',
+        level: levelSelect.value,
+        synonyms: document.getElementById(prefix + 'syn')?.value?.split(',').map(s => s.trim()).filter(Boolean) || [],
+        antonyms: document.getElementById(prefix + 'ant')?.value?.split(',').map(s => s.trim()).filter(Boolean) || [],
+        examples: document.getElementById(prefix + 'examples')?.value?.split('\n').map(s => s.trim()).filter(Boolean) || [],
+        categories: getSelectedCategories(prefix) || [],
+        notes: document.getElementById(prefix + 'notes')?.value?.trim() || '',
+        favorite: document.getElementById(prefix + 'fav')?.checked || false
+    };
+
+    try {
+        // Duplicate detection: if a word with same english/turkish exists, warn user
+        const existing = findDuplicate(formData.english, formData.turkish);
+        if (existing) {
+            const open = confirm(`The word "${formData.english}" seems to already exist as "${existing.english} - ${existing.turkish}".\n\nPress OK to view the existing entry, or Cancel to add this as a separate entry.`);
+            if (open) {
+                // Navigate to dictionary and highlight existing
+                navigateTo('dictionary');
+                setTimeout(() => {
+                    const card = document.querySelector(`[data-testid="card-word-${existing.id}"]`);
+                    if (card) {
+                        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                        card.classList.add('flash-new');
+                        setTimeout(() => card.classList.remove('flash-new'), 1800);
+                    }
+                }, 150);
+                return;
+            }
+        }
+
+        // Add the word
+        const newWord = addWord(formData);
+
+        // Show success message with toast
+        showToast('Kelimeniz başarıyla eklendi: ' + newWord.english, 'success');
+
+        // Reset form
+        event.target.reset();
+
+        // If modal, close it
+        if (isModal) {
+            closeModal('panel-addWord');
+        }
+
+        // Update dictionary view immediately
+        navigateTo('dictionary');
+
+        // After a short delay, scroll to and highlight the new word
+        setTimeout(() => {
+            const wordCard = document.querySelector(`[data-testid="card-word-${newWord.id}"]`);
+            if (wordCard) {
+                wordCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                wordCard.classList.add('flash-new');
+                setTimeout(() => wordCard.classList.remove('flash-new'), 1800);
+            }
+        }, 100);
+    } catch (error) {
+        console.error('Error adding word:', error);
+        showToast('Kelime eklenirken bir hata oluştu. Lütfen tekrar deneyin.', 'error');
+    }
+}
+
+function renderPartOfSpeechOptions() {
+    return `<option value="">Not set</option>` +
+        PARTS_OF_SPEECH.map(pos => `<option value="${pos}">${pos.charAt(0).toUpperCase() + pos.slice(1)}</option>`).join('');
+}
+
+function renderAddWord(container) {
+    // Mark view so CSS can target page-specific elements
+    container.setAttribute('data-view', 'add-word');
+    const categories = getAllCategories();
+
+    container.innerHTML = `
+        <div class="page-header">
+            <h1 class="page-title">
+                <i class="fas fa-plus-circle"></i>
+                Add New Word
+            </h1>
+            <p class="page-subtitle">Use this form to add a new word to your dictionary.</p>
+        </div>
+
+        <div class="card">
+            <form id="page-add-word-form" class="word-form" onsubmit="handleAddWordFormSubmit(event)">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="page-english">English Word *</label>
+                        <input type="text" id="page-english" required data-testid="input-page-english">
+                    </div>
+                    <div class="form-group">
+                        <label for="page-turkish">Turkish Translation *</label>
+                        <input type="text" id="page-turkish" placeholder="Separate alternatives with commas" required data-testid="input-page-turkish">
+                        <div class="translation-chips" id="page-turkish-chips"></div>
+                    </div>
+                </div>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="page-pron">Pronunciation</label>
+                        <input type="text" id="page-pron" placeholder="/prəˌnʌnsiˈeɪʃən/" data-testid="input-page-pron">
+                    </div>
+                    <div class="form-group">
+                        <label for="page-level">Level *</label>
+                        <select id="page-level" required data-testid="select-page-level">
+                            <option value="A1">A1</option>
+                            <option value="A2">A2</option>
+                            <option value="B1">B1</option>
+                            <option value="B2">B2</option>
+                            <option value="C1" selected>C1</option>
+                            <option value="C2">C2</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="page-pos">Part of Speech</label>
+                        <select id="page-pos" data-testid="select-page-pos">
+                            ${renderPartOfSpeechOptions()}
+                        </select>
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label for="page-engExp">English Explanation</label>
+                    <textarea id="page-engExp" rows="2" data-testid="input-page-engExp" placeholder="Detailed English definition..."></textarea>
+                </div>
+
+                <div class="form-group">
+                    <label for="page-turkExp">Turkish Explanation</label>
+                    <textarea id="page-turkExp" rows="2" data-testid="input-page-turkExp" placeholder="Türkçe açıklama..."></textarea>
+                </div>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="page-syn">Synonyms (comma separated)</label>
+                        <input type="text" id="page-syn" data-testid="input-page-syn">
+                    </div>
+                    <div class="form-group">
+                        <label for="page-ant">Antonyms (comma separated)</label>
+                        <input type="text" id="page-ant" data-testid="input-page-ant">
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label for="page-examples">Example Sentences (one per line)</label>
+                    <textarea id="page-examples" rows="3" data-testid="input-page-examples" placeholder="This is an example sentence.\nHere's another example."></textarea>
+                </div>
+                
+                <div class="form-group">
+                    <label for="page-notes">Notes</label>
+                    <textarea id="page-notes" rows="3" data-testid="input-page-notes" placeholder="Short usage notes, register, collocations..."></textarea>
+                </div>
+
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="page-cats">Categories</label>
+                        <div class="custom-select-container" id="page-category-select">
+                            <div class="select-header" data-testid="input-page-cats">
+                                <div class="selected-categories"></div>
+                                <i class="fas fa-chevron-down"></i>
+                            </div>
+                            <div class="select-dropdown">
+                                <div class="search-box">
+                                    <input type="text" placeholder="Search categories..." data-testid="page-category-search">
+                                </div>
+                                <div class="category-list">
+                                </div>
+                                <div class="dropdown-footer">
+                                    <a href="#categories" class="btn-link">
+                                        <i class="fas fa-plus"></i>
+                                        Manage Categories
+                                    </a>
+                                </div>
+                            </div>
+                            <select id="page-cats" multiple style="display: none;" data-testid="input-page-cats"></select>
+                        </div>
+                    </div>
+                    <div class="form-group checkbox-group" style="align-items: center; display:flex; gap: .5rem;">
+                        <label style="display:flex; align-items:center; gap: .5rem;">
+                            <input type="checkbox" id="page-fav" data-testid="input-page-fav">
+                            <span>Mark as Favorite</span>
+                        </label>
+                    </div>
+                </div>
+
+                <div class="form-actions">
+                    <button type="button" class="btn-secondary" onclick="navigateTo('dashboard')">Cancel</button>
+                    <button type="submit" class="btn-primary">Add Word</button>
+                </div>
+            </form>
+        </div>
+    `;
+
+    // Initialize category select
+    initializeCategoryDropdown('page');
+    bindTranslationChips('page-turkish');
+
+    // Wire form submit
+    const form = document.getElementById('page-add-word-form');
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        const selectedCategories = getSelectedCategories('page');
+        const wordData = {
+            english: document.getElementById('page-english').value.trim(),
+            turkish: document.getElementById('page-turkish').value.trim(),
+            pronunciation: document.getElementById('page-pron').value.trim(),
+            partOfSpeech: document.getElementById('page-pos').value,
+            turkishExplanation: document.getElementById('page-turkExp').value.trim(),
+            englishExplanation: document.getElementById('page-engExp').value.trim(),
+            synonyms: document.getElementById('page-syn').value.split(',').map(s => s.trim()).filter(Boolean),
+            antonyms: document.getElementById('page-ant').value.split(',').map(s => s.trim()).filter(Boolean),
+            examples: document.getElementById('page-examples').value.split('\n').map(s => s.trim()).filter(Boolean),
+            level: document.getElementById('page-level').value,
+            categories: selectedCategories,
+            favorite: document.getElementById('page-fav').checked
+        };
+
+        if (!wordData.english) {
+            showToast('Please enter an English word.', 'warning');
+            return;
+        }
+
+        if (!wordData.turkish) {
+            showToast('Please enter the Turkish translation.', 'warning');
+            return;
+        }
+
+        if (!wordData.level) {
+            showToast('Please select a level for the word.', 'warning');
+            return;
+        }
+
+        const newWord = addWord(wordData);
+
+        // Immediately persist (don't rely solely on debounced save) and update UI
+        updateStats();
+        saveState();
+
+        showToast('Word added successfully!', 'success');
+
+        // Re-render dictionary immediately so user sees the new word without reload
+        const main = document.getElementById('mainContent');
+        renderDictionary(main);
+
+        // Scroll to and briefly highlight the newly added card (if present)
+        setTimeout(() => {
+            const el = document.querySelector(`[data-testid="card-word-${newWord.id}"]`);
+            if (el) {
+                el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                el.classList.add('flash-new');
+                setTimeout(() => el.classList.remove('flash-new'), 1800);
+            }
+        }, 120);
+
+        // Navigate to dictionary route (updates URL)
+        navigateTo('dictionary');
+    });
+
+    // --- AI Assistant helper for page add word ---
+    // The helper UI is provided in the collapsible `page-ai-helper` below.
+    const pageForm = document.getElementById('page-add-word-form');
 
     // Wire AI helper events for page
     // Build a collapsible page helper container and prepend it
@@ -968,1601 +3238,3231 @@ function renderAddWord(container) {
                 <i class="fas fa-chevron-down"></i>
             </button>
         </div>
-        <div style="margin-top:.35rem; display:flex; align-items:center; justify-content:space-between; gap:.5rem;">
-            <small style="color:var(--v-text-secondary);">AI'dan yardım almak istiyor musun?</small>
-            <div style="margin-left:auto">
-                <button type="button" id="btn-open-ai-page-ok" class="btn-secondary" aria-pressed="false">Evet, yardım istiyorum</button>
+        <div style="margin-top:.35rem; display:flex; align-items:center; justify-content:space-between; gap:.5rem;">
+            <small style="color:var(--v-text-secondary);">AI'dan yardım almak istiyor musun?</small>
+            <div style="margin-left:auto">
+                <button type="button" id="btn-open-ai-page-ok" class="btn-secondary" aria-pressed="false">Evet, yardım istiyorum</button>
+            </div>
+        </div>
+        <div id="page-ai-content" style="margin-top:.5rem; display: none;">
+            <div class="form-group">
+                <label for="page-ai-input">Hangi kelimeyi eklemek istiyorsunuz? (AI yardım için yazıp Enter'a basın)</label>
+                <div style="display:flex; gap:.5rem; align-items:center;">
+                    <input type="text" id="page-ai-input" placeholder="Örnek: serendipity" style="flex:1; padding:8px;">
+                    <button type="button" class="btn-secondary" id="btn-open-chatgpt-page">ChatGPT ile Doldur</button>
+                </div>
+                <small style="display:block; color:var(--v-text-secondary); margin-top:.4rem;">Butona basınca hazır bir prompt panoya kopyalanır ve ekranda gösterilir. Kopyalayın, ChatGPT'ye yapıştırıp gönderin; gelen JSON'u aşağıya yapıştırarak formu doldurabilirsiniz.</small>
+            </div>
+
+            <div class="form-group">
+                <label for="page-ai-json">ChatGPT'den gelen JSON'u buraya yapıştırın ve "Uygula"ya basın</label>
+                <textarea id="page-ai-json" style="width:100%; min-height:140px; font-family:monospace; padding:8px; margin-top:.4rem;" placeholder='{"english": "...", "turkish": "..."}'></textarea>
+                <div style="display:flex; gap:.5rem; margin-top:.5rem;">
+                    <button type="button" class="btn-primary" id="btn-apply-ai-json-page">Yapıştır ve Uygula</button>
+                    <button type="button" class="btn-secondary" id="btn-clear-ai-json-page">Temizle</button>
+                    <div style="flex:1"></div>
+                    <small style="color:var(--v-text-secondary);">JSON formatı doğruysa form otomatik doldurulur.</small>
+                </div>
+            </div>
+        </div>
+    `;
+    if (pageForm) pageForm.prepend(pageHelper);
+
+    // Wire page helper buttons
+    // Ensure toggle and OK work immediately after insertion
+    const pageToggleBtn = document.getElementById('btn-toggle-ai-page');
+    const pageOkBtn = document.getElementById('btn-open-ai-page-ok');
+    const pageContent = document.getElementById('page-ai-content');
+    if (pageToggleBtn && pageContent) {
+        pageToggleBtn.addEventListener('click', () => {
+            const icon = pageToggleBtn.querySelector('i');
+            if (pageContent.style.display === 'none') {
+                pageContent.style.display = '';
+                if (icon) icon.className = 'fas fa-chevron-down';
+                pageToggleBtn.style.transform = 'rotate(0deg)';
+            } else {
+                pageContent.style.display = 'none';
+                if (icon) icon.className = 'fas fa-chevron-up';
+                pageToggleBtn.style.transform = 'rotate(180deg)';
+            }
+        });
+    }
+    if (pageOkBtn && pageContent) {
+        pageOkBtn.addEventListener('click', () => {
+            const icon = pageToggleBtn?.querySelector('i');
+            const isClosed = pageContent.style.display === 'none' || pageContent.style.display === '' && getComputedStyle(pageContent).display === 'none';
+            if (isClosed) {
+                pageContent.style.display = '';
+                if (pageToggleBtn) { pageToggleBtn.style.transform = 'rotate(0deg)'; if (icon) icon.className = 'fas fa-chevron-down'; }
+                pageOkBtn.textContent = 'Yardımı Kapat';
+                pageOkBtn.setAttribute('aria-pressed', 'true');
+                setTimeout(() => document.getElementById('page-ai-input')?.focus(), 50);
+            } else {
+                pageContent.style.display = 'none';
+                if (pageToggleBtn) { pageToggleBtn.style.transform = 'rotate(180deg)'; if (icon) icon.className = 'fas fa-chevron-up'; }
+                pageOkBtn.textContent = 'Evet, yardım istiyorum';
+                pageOkBtn.setAttribute('aria-pressed', 'false');
+            }
+        });
+    }
+
+    document.getElementById('btn-open-chatgpt-page')?.addEventListener('click', () => {
+        const w = document.getElementById('page-ai-input')?.value.trim();
+        if (!w) { showToast('Lütfen önce bir kelime yazın.', 'warning'); return; }
+        const prompt = generateChatGPTPrompt(w);
+        showAIPromptModal(prompt);
+        copyPromptToClipboard(prompt).then(() => {
+            showToast('Prompt panoya kopyalandı. ChatGPT' + "'" + 'ye yapıştırıp gönderin.', 'success');
+        }).catch(() => {
+            showToast('Prompt panoya kopyalanamadı; lütfen alttaki alandan kopyalayın.', 'warning');
+        });
+    });
+
+    document.getElementById('page-ai-input')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            document.getElementById('btn-open-chatgpt-page')?.click();
+        }
+    });
+
+    // Wire apply/clear for page json area
+    document.getElementById('btn-apply-ai-json-page')?.addEventListener('click', () => {
+        const raw = document.getElementById('page-ai-json')?.value || '';
+        applyChatGPTJson(raw, 'page-');
+    });
+    document.getElementById('btn-clear-ai-json-page')?.addEventListener('click', () => {
+        const ta = document.getElementById('page-ai-json'); if (ta) ta.value = '';
+    });
+}
+
+function renderDictionary(container) {
+    const words = Object.values(state.words);
+    
+    // Set the view identifier for the container
+    container.setAttribute('data-view', 'dictionary');
+    
+    container.innerHTML = `
+        <div class="page-header">
+            <h1 class="page-title">
+                <i class="fas fa-book"></i>
+                Dictionary
+            </h1>
+            <p class="page-subtitle">${words.length} words in your collection</p>
+        </div>
+        
+        <div class="filter-bar">
+            <div class="search-box">
+                <i class="fas fa-search"></i>
+                <input type="search" id="dict-search" placeholder="Search words..." data-testid="input-search-words">
+            </div>
+            
+            <select id="level-filter" data-testid="select-filter-level">
+                <option value="">All Levels</option>
+                <option value="A1">A1</option>
+                <option value="A2">A2</option>
+                <option value="B1">B1</option>
+                <option value="B2">B2</option>
+                <option value="C1">C1</option>
+                <option value="C2">C2</option>
+            </select>
+            
+            <select id="category-filter" data-testid="select-filter-category">
+                <option value="">All Categories</option>
+                ${getAllCategories().map(cat => `<option value="${cat}">${cat}</option>`).join('')}
+            </select>
+            
+            <button class="btn-primary" onclick="openAddWordModal()" data-testid="button-add-new-word">
+                <i class="fas fa-plus"></i> Add Word
+            </button>
+        </div>
+        
+        <div id="words-list" class="card-grid">
+            ${words.length > 0 ? words.map(word => renderWordCard(word)).join('') : `
+                <div class="empty-state">
+                    <i class="fas fa-book-open"></i>
+                    <h3>No words yet</h3>
+                    <p>Start building your vocabulary!</p>
+                </div>
+            `}
+        </div>
+    `;
+    
+    // Add event listeners for filters
+    document.getElementById('dict-search')?.addEventListener('input', filterWords);
+    document.getElementById('level-filter')?.addEventListener('change', filterWords);
+    document.getElementById('category-filter')?.addEventListener('change', filterWords);
+}
+
+function filterWords() {
+    const search = document.getElementById('dict-search')?.value.toLowerCase() || '';
+    const level = document.getElementById('level-filter')?.value || '';
+    const category = document.getElementById('category-filter')?.value || '';
+    
+    let filtered = Object.values(state.words);
+    
+    if (search) {
+        filtered = filtered.filter(w => 
+            w.english.toLowerCase().includes(search) ||
+            w.turkish.toLowerCase().includes(search) ||
+            w.englishExplanation.toLowerCase().includes(search)
+        );
+    }
+    
+    if (level) {
+        filtered = filtered.filter(w => w.level === level);
+    }
+    
+    if (category) {
+        filtered = filtered.filter(w => w.categories.includes(category));
+    }
+    
+    const listContainer = document.getElementById('words-list');
+    if (listContainer) {
+        listContainer.innerHTML = filtered.length > 0 
+            ? filtered.map(word => renderWordCard(word)).join('') 
+            : '<div class="empty-state"><i class="fas fa-search"></i><h3>No words found</h3></div>';
+    }
+}
+
+function renderTranslationChips(translations) {
+    return translations.map(t => `<span class="translation-chip">${escapeHtml(t)}</span>`).join('');
+}
+
+// Live preview of how the Turkish field will be split into translations
+function bindTranslationChips(inputId) {
+    const input = document.getElementById(inputId);
+    const chips = document.getElementById(`${inputId}-chips`);
+    if (!input || !chips) return;
+    const update = () => {
+        const translations = parseTranslations(input.value);
+        chips.innerHTML = translations.length > 1 ? renderTranslationChips(translations) : '';
+    };
+    input.addEventListener('input', update);
+    update();
+}
+
+function renderWordCard(word) {
+    const correctRate = word.stats.timesTested > 0 
+        ? (word.stats.correctCount / word.stats.timesTested * 100) 
+        : 0;
+    
+    return `
+        <div class="word-card" data-testid="card-word-${word.id}" onclick="navigateTo('word:${word.id}')">
+            <div class="word-header">
+                <div>
+                    <div class="word-english">${word.english}
+                        <button class="btn-play" onclick="playPronunciation('${word.english}', this)" data-testid="button-play-${word.id}">
+                            <i class="fas fa-volume-up"></i>
+                        </button>
+                    </div>
+                    ${word.pronunciation ? `
+                        <div class="word-pronunciation">
+                            ${word.pronunciation}
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="word-actions">
+                    <button class="btn-icon" onclick="toggleFavorite('${word.id}'); event.stopPropagation(); renderDictionary(document.getElementById('mainContent'));" data-testid="button-favorite-${word.id}">
+                        <i class="fas fa-star" style="color: ${word.favorite ? 'var(--v-warning)' : 'var(--v-text-tertiary)'}"></i>
+                    </button>
+                    <button class="btn-icon" onclick="openEditWordModal('${word.id}'); event.stopPropagation();" data-testid="button-edit-${word.id}">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn-icon" onclick="confirmDeleteWord('${word.id}'); event.stopPropagation();" data-testid="button-delete-${word.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            
+            ${word.turkish ? `<div class="word-turkish translation-chips">${renderTranslationChips(getTranslations(word))}</div>` : ''}
+    
+            ${getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp') ? `
+                        <div class="word-explanation">
+                            <strong>Türkçe Açıklama:</strong>
+                            <p>${getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp')}</p>
+                        </div>
+                    ` : ''}
+            
+            ${word.englishExplanation ? `
+                <div class="word-explanation">
+                    <strong>English Explanation:</strong>
+                    <p>${word.englishExplanation}</p>
+                </div>
+            ` : ''}
+            
+            ${word.notes ? `
+                <div class="word-notes">
+                    <strong>Notes:</strong>
+                    <p>${escapeHtml(word.notes)}</p>
+                </div>
+            ` : ''}
+
+            ${word.examples.length > 0 ? `
+                <div class="word-examples">
+                    <strong>Examples:</strong>
+                    <ul>
+                        ${word.examples.map(example => `<li>${example}</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+            
+            ${word.synonyms.length > 0 ? `
+                <div class="word-synonyms">
+                    <strong>Synonyms:</strong> ${word.synonyms.join(', ')}
+                </div>
+            ` : ''}
+            
+            ${word.antonyms.length > 0 ? `
+                <div class="word-antonyms">
+                    <strong>Antonyms:</strong> ${word.antonyms.join(', ')}
+                </div>
+            ` : ''}
+            
+            <div class="word-meta">
+                <span class="badge badge-level ${word.level}">${word.level}</span>
+                ${word.categories.slice(0, 2).map(cat => 
+                    `<span class="badge badge-category">${cat}</span>`
+                ).join('')}
+                ${word.categories.length > 2 ? 
+                    `<span class="badge badge-category">+${word.categories.length - 2} more</span>` 
+                : ''}
+                ${word.stats.learned ? '<span class="badge" style="background: var(--v-success); color: white;">Learned</span>' : ''}
+                ${isHardWord(word) ? '<span class="badge" style="background: var(--v-danger); color: white;">Hard</span>' : ''}
+            </div>
+            
+            ${word.stats.timesTested > 0 ? `
+                <div class="stats-bar">
+                    <div class="stats-bar-fill" style="width: ${correctRate}%"></div>
+                </div>
+                <div style="font-size: 0.75rem; color: var(--v-text-tertiary); margin-top: 0.25rem;">
+                    ${word.stats.correctCount}/${word.stats.timesTested} correct (${Math.round(correctRate)}%)
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+function renderFavorites(container) {
+    const favorites = Object.values(state.words).filter(w => w.favorite);
+    
+    container.innerHTML = `
+        <div class="page-header">
+            <h1 class="page-title">
+                <i class="fas fa-star"></i>
+                Favorite Words
+            </h1>
+            <p class="page-subtitle">${favorites.length} words marked as favorites</p>
+        </div>
+        
+        <div class="card-grid">
+            ${favorites.length > 0 ? favorites.map(word => renderWordCard(word)).join('') : `
+                <div class="empty-state">
+                    <i class="fas fa-star"></i>
+                    <h3>No favorites yet</h3>
+                    <p>Mark words as favorites to see them here.</p>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+function renderWordDetail(container, id) {
+    const word = state.words[id];
+    if (!word) {
+        container.innerHTML = `
+            <div class="page-header">
+                <h1 class="page-title">Word not found</h1>
+                <p class="page-subtitle">The requested word was not found in your dictionary.</p>
+            </div>
+            <div class="card">
+                <p>Try returning to the <a href="#dictionary" onclick="navigateTo('dictionary'); return false;">dictionary</a>.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const confusedWith = getConfusionPartners(id);
+    const examplesHtml = (word.examples || []).map(ex => {
+        if (typeof ex === 'string') return `<li>${escapeHtml(ex)}</li>`;
+        const en = escapeHtml(ex.english || ex.en || '');
+        const tr = escapeHtml(ex.turkish || ex.tr || '');
+        return `<li><strong>${en}</strong>${tr ? ` — ${tr}` : ''}</li>`;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="page-header">
+            <a href="#dictionary" id="btn-back-dict" class="btn-secondary" style="margin-bottom: 1rem; display: inline-flex; align-items: center; gap: .5rem;" onclick="navigateTo('dictionary'); return false;">
+                <i class="fas fa-arrow-left"></i> Back
+            </a>
+            <h1 class="page-title">${escapeHtml(word.english)}</h1>
+            <div class="translation-chips" data-testid="list-translations">${renderTranslationChips(getTranslations(word))}</div>
+        </div>
+
+        <div class="card">
+            <div style="display:flex; justify-content:space-between; align-items:flex-start; gap:1rem;">
+                <div style="flex:1;">
+                    <div style="display:flex; gap:.5rem; align-items:center;">
+                        <h2 style="margin:0;">${escapeHtml(word.english)}</h2>
+                        <button class="btn-play" onclick="playPronunciation('${escapeHtml(word.english)}', this)"><i class="fas fa-volume-up"></i></button>
+                        <button class="btn-secondary" onclick="copyPermalink('${id}'); event.stopPropagation();">Copy Link</button>
+                    </div>
+
+                    ${word.pronunciation ? `<div style="margin-top:.5rem; color: var(--v-text-secondary);">${escapeHtml(word.pronunciation)}</div>` : ''}
+
+                    ${getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp') ? `
+                        <div style="margin-top:1rem;"><strong>Türkçe Açıklama</strong><p>${escapeHtml(getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp'))}</p></div>
+                    ` : ''}
+
+                    ${word.englishExplanation ? `<div style="margin-top:1rem;"><strong>English Explanation</strong><p>${escapeHtml(word.englishExplanation)}</p></div>` : ''}
+
+                    ${examplesHtml ? `<div style="margin-top:1rem;"><strong>Examples</strong><ul>${examplesHtml}</ul></div>` : ''}
+                </div>
+
+                <div style="width:260px;">
+                    <div style="display:flex; gap:.5rem; margin-bottom:1rem;">
+                        <button class="btn-primary" onclick="openEditWordModal('${id}'); event.stopPropagation();">Edit</button>
+                        <button class="btn-destructive" onclick="confirmDeleteWord('${id}'); event.stopPropagation();">Delete</button>
+                    </div>
+
+                    <div style="margin-top:1rem;">
+                        <div><strong>Level</strong>: <span class="badge badge-level ${word.level}">${word.level}</span></div>
+                        ${word.partOfSpeech ? `<div style="margin-top:.5rem;"><strong>Part of Speech</strong>: ${escapeHtml(word.partOfSpeech)}</div>` : ''}
+                        <div style="margin-top:.5rem;"><strong>Categories</strong>: ${word.categories.map(c => `<span class="badge badge-category">${escapeHtml(c)}</span>`).join(' ')}</div>
+                        <div style="margin-top:.5rem;"><strong>Synonyms</strong>: ${word.synonyms.join(', ') || '-'}</div>
+                        <div style="margin-top:.5rem;"><strong>Antonyms</strong>: ${word.antonyms.join(', ') || '-'}</div>
+                        <div style="margin-top:.5rem;"><strong>Added</strong>: ${formatDate(word.stats.addedAt)}</div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        ${confusedWith.length > 0 ? `
+            <div class="card" style="margin-top: 1.5rem;" data-testid="card-confused-with">
+                <h3><i class="fas fa-random"></i> Commonly Confused With</h3>
+                <div class="confusion-list">
+                    ${confusedWith.map(({ word: other, count }) => `
+                        <div class="confusion-row">
+                            <a href="#word:${other.id}" onclick="navigateTo('word:${other.id}'); return false;"><strong>${escapeHtml(other.english)}</strong></a>
+                            <span style="color: var(--v-text-tertiary);">${escapeHtml(other.turkish)}</span>
+                            <span class="badge" style="margin-left: auto;">${count}×</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        ` : ''}
+    `;
+
+    // ensure back button works
+    const back = document.getElementById('btn-back-dict');
+    if (back) back.addEventListener('click', (e) => { e.preventDefault(); navigateTo('dictionary'); });
+}
+
+function renderHardWords(container) {
+    const hardWords = Object.values(state.words).filter(w => isHardWord(w));
+    
+    container.innerHTML = `
+        <div class="page-header">
+            <h1 class="page-title">
+                <i class="fas fa-exclamation-triangle"></i>
+                Hard Words
+            </h1>
+            <p class="page-subtitle">${hardWords.length} words need extra practice</p>
+        </div>
+        
+        ${hardWords.length >= 5 ? `
+            <div style="margin-bottom: 1.5rem;">
+                <button class="btn-primary" onclick="openQuizConfig('hard')">
+                    <i class="fas fa-graduation-cap"></i> Practice Hard Words
+                </button>
+            </div>
+        ` : ''}
+        
+        <div class="card-grid">
+            ${hardWords.length > 0 ? hardWords.map(word => renderWordCard(word)).join('') : `
+                <div class="empty-state">
+                    <i class="fas fa-check-circle"></i>
+                    <h3>No hard words!</h3>
+                    <p>You're doing great! No words are marked as difficult.</p>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+function renderCategories(container) {
+    const categories = getAllCategories();
+    
+    container.innerHTML = `
+        <div class="page-header">
+            <h1 class="page-title">
+                <i class="fas fa-tags"></i>
+                Categories
+            </h1>
+            <p class="page-subtitle">${categories.length} categories</p>
+        </div>
+        
+        <div class="card">
+            <div style="display:flex; gap: .5rem; align-items:center; margin-bottom: 1rem;">
+                <input type="text" id="new-category-input" placeholder="New category name" style="flex:1;" data-testid="input-new-category">
+                <button class="btn-primary" id="btn-add-category">Add Category</button>
+            </div>
+        </div>
+
+        <div class="card-grid">
+            ${categories.map(category => {
+                const words = getWordsByCategory(category);
+                return `
+                    <div class="card category-card" style="cursor: pointer;" data-category="${escapeHtml(category)}">
+                        <div style="display:flex; justify-content:space-between; align-items:center;">
+                            <h3 style="margin:0;"><i class="fas fa-tag"></i> ${escapeHtml(category)}</h3>
+                            <div style="display:flex; gap:.5rem;">
+                                <button class="btn-icon btn-edit-cat" title="Edit" data-category="${escapeHtml(category)}"><i class="fas fa-edit"></i></button>
+                                <button class="btn-icon btn-delete-cat" title="Delete" data-category="${escapeHtml(category)}"><i class="fas fa-trash"></i></button>
+                            </div>
+                        </div>
+                        <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
+                            ${words.length} words
+                        </p>
+                        ${words.length >= 5 ? `
+                            <button class="btn-secondary btn-sm" style="margin-top: 1rem;" onclick="openQuizConfigForCategory('${escapeHtml(category)}'); event.stopPropagation();">
+                                <i class="fas fa-play"></i> Practice
+                            </button>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('')}
+            ${categories.length === 0 ? `
+                <div class="empty-state">
+                    <i class="fas fa-tags"></i>
+                    <h3>No categories yet</h3>
+                    <p>Add categories to your words to organize them.</p>
+                </div>
+            ` : ''}
+        </div>
+    `;
+    // Wire add category button
+    const addBtn = document.getElementById('btn-add-category');
+    const input = document.getElementById('new-category-input');
+    if (addBtn && input) {
+        addBtn.addEventListener('click', () => {
+            const name = input.value.trim();
+            if (!name) { showToast('Please provide a category name.', 'warning'); return; }
+            const ok = addCategory(name);
+            if (ok) {
+                input.value = '';
+                renderCategories(container);
+            }
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                addBtn.click();
+            }
+        });
+    }
+
+    // Attach handlers scoped to this container for reliability
+    const cardEls = container.querySelectorAll('.category-card');
+    cardEls.forEach(card => {
+        const cat = card.getAttribute('data-category');
+        // Click on the card updates the URL so each category has its own hash
+        card.addEventListener('click', () => {
+            const hash = `category:${encodeURIComponent(cat)}`;
+            navigateTo(hash);
+        });
+
+        // Edit button inside the card
+        const editBtn = card.querySelector('.btn-edit-cat');
+        if (editBtn) {
+            editBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const name = editBtn.getAttribute('data-category');
+                const newName = prompt('Rename category', name);
+                if (newName && newName.trim()) {
+                    const ok = renameCategory(name, newName.trim());
+                    if (ok) renderCategories(container);
+                }
+            });
+        }
+
+        // Delete button inside the card
+        const delBtn = card.querySelector('.btn-delete-cat');
+        if (delBtn) {
+            delBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const name = delBtn.getAttribute('data-category');
+                const ok = deleteCategory(name);
+                if (ok) renderCategories(container);
+            });
+        }
+    });
+}
+
+function viewCategory(category) {
+    const words = getWordsByCategory(category);
+    const container = document.getElementById('mainContent');
+    
+    container.innerHTML = `
+        <div class="page-header">
+            <a href="#categories" id="btn-back-categories" class="btn-secondary" style="margin-bottom: 1rem; display: inline-flex; align-items: center; gap: .5rem;">
+                <i class="fas fa-arrow-left"></i> Back to Categories
+            </a>
+            <h1 class="page-title">
+                <i class="fas fa-tag"></i>
+                ${category}
+            </h1>
+            <p class="page-subtitle">${words.length} words</p>
+        </div>
+        
+        ${words.length >= 5 ? `
+            <div style="margin-bottom: 1.5rem;">
+                <button class="btn-primary" onclick="openQuizConfigForCategory('${category}')">
+                    <i class="fas fa-graduation-cap"></i> Practice This Category
+                </button>
+            </div>
+        ` : ''}
+        
+        <div class="card-grid">
+            ${words.map(word => renderWordCard(word)).join('')}
+        </div>
+    `;
+    // Ensure back button works
+    const backBtn = document.getElementById('btn-back-categories');
+    if (backBtn) {
+        backBtn.addEventListener('click', () => navigateTo('categories'));
+    }
+}
+
+function addCategory(name) {
+    if (!name || !name.trim()) return false;
+    const n = name.trim();
+    if (!Array.isArray(state.categories)) state.categories = [];
+    if (state.categories.includes(n)) return false; // already exists
+    state.categories.push(n);
+    saveState();
+    showToast(`Category "${n}" added.`, 'success');
+    return true;
+}
+
+function renameCategory(oldName, newName) {
+    if (!oldName || !newName) return false;
+    const o = oldName.trim();
+    const n = newName.trim();
+    if (o === n) return false;
+    if (!Array.isArray(state.categories)) state.categories = [];
+    if (state.categories.includes(n)) {
+        showToast('Category with that name already exists.', 'warning');
+        return false;
+    }
+    const before = captureCategories();
+
+    // Replace in top-level categories
+    state.categories = state.categories.map(c => c === o ? n : c);
+
+    // Replace in words
+    Object.values(state.words).forEach(w => {
+        if (Array.isArray(w.categories)) {
+            w.categories = w.categories.map(c => c === o ? n : c);
+        }
+    });
+
+    recordCategoryCommand(`Rename category "${o}"`, before);
+    saveState();
+    showToast(`Category "${n}" renamed.`, 'success', undoToastAction());
+    return true;
+}
+
+function deleteCategory(name) {
+    if (!name) return false;
+    const n = name.trim();
+    if (!confirm(`Delete category "${n}"? This will remove it from any words.`)) return false;
+    const before = captureCategories();
+
+    // Remove from top-level
+    state.categories = (state.categories || []).filter(c => c !== n);
+
+    // Remove from words
+    Object.values(state.words).forEach(w => {
+        if (Array.isArray(w.categories)) {
+            w.categories = w.categories.filter(c => c !== n);
+        }
+    });
+
+    recordCategoryCommand(`Delete category "${n}"`, before);
+    saveState();
+    showToast(`Category "${n}" deleted.`, 'success', undoToastAction());
+    return true;
+}
+
+function renderNotes(container) {
+    openNotesDrawer();
+    container.innerHTML = `
+        <div class="page-header">
+            <h1 class="page-title">
+                <i class="fas fa-sticky-note"></i>
+                Notes
+            </h1>
+            <p class="page-subtitle">Your personal learning notes</p>
+        </div>
+        
+        <div class="card">
+            <p>Notes are available in the bottom drawer. Click the notes icon or use the drawer below.</p>
+            <button class="btn-primary" onclick="openNotesDrawer()">
+                <i class="fas fa-sticky-note"></i> Open Notes Drawer
+            </button>
+        </div>
+    `;
+}
+
+function renderStatistics(container) {
+    const words = Object.values(state.words);
+    const levelDistribution = {};
+    const categoryDistribution = {};
+    
+    words.forEach(word => {
+        levelDistribution[word.level] = (levelDistribution[word.level] || 0) + 1;
+        word.categories.forEach(cat => {
+            categoryDistribution[cat] = (categoryDistribution[cat] || 0) + 1;
+        });
+    });
+    const confusedPairs = getConfusionMatrix();
+    
+    container.innerHTML = `
+        <div class="page-header">
+            <h1 class="page-title">
+                <i class="fas fa-chart-bar"></i>
+                Statistics
+            </h1>
+            <p class="page-subtitle">Your learning progress and insights</p>
+        </div>
+        
+        <div class="stats-grid">
+            <div class="stat-card">
+                <div class="stat-value" style="color: var(--v-primary);">${state.appStats.totalAdded}</div>
+                <div class="stat-label">Total Words</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value" style="color: var(--v-success);">${state.appStats.totalLearned}</div>
+                <div class="stat-label">Learned</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value" style="color: var(--v-warning);">${state.appStats.favoritesCount}</div>
+                <div class="stat-label">Favorites</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value" style="color: var(--v-danger);">${state.appStats.hardCount}</div>
+                <div class="stat-label">Hard Words</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value" style="color: var(--v-primary);">${state.appStats.streak.current} 🔥</div>
+                <div class="stat-label">Current Streak</div>
+            </div>
+            <div class="stat-card">
+                <div class="stat-value" style="color: var(--v-primary);">${state.appStats.streak.best} 🏆</div>
+                <div class="stat-label">Best Streak</div>
+            </div>
+        </div>
+        
+        <div class="chart-container">
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; flex-wrap: wrap;">
+                <h3 class="chart-title">Review Forecast</h3>
+                <div class="forecast-range">
+                    ${FORECAST_RANGES.map(days => `
+                        <button class="btn-secondary btn-sm${days === forecastRange ? ' active' : ''}" data-days="${days}"
+                            onclick="setForecastRange(${days})" data-testid="button-forecast-${days}">${days} days</button>
+                    `).join('')}
+                </div>
+            </div>
+            <div id="forecast-body">${renderReviewForecast()}</div>
+        </div>
+        
+        <div class="chart-container">
+            <h3 class="chart-title">Activity</h3>
+            ${renderActivityHeatmap()}
+        </div>
+        
+        <div class="chart-container">
+            <h3 class="chart-title">Level Distribution</h3>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(100px, 1fr)); gap: 1rem;">
+                ${Object.entries(levelDistribution).map(([level, count]) => `
+                    <div style="text-align: center; padding: 1rem; background: var(--v-bg-tertiary); border-radius: var(--v-radius-md);">
+                        <div style="font-size: 2rem; font-weight: 700; color: var(--v-level-${level.toLowerCase()});">${count}</div>
+                        <div style="font-size: 0.85rem; color: var(--v-text-secondary); margin-top: 0.25rem;">${level}</div>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+        
+        ${Object.keys(categoryDistribution).length > 0 ? `
+            <div class="chart-container">
+                <h3 class="chart-title">Category Distribution</h3>
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 1rem;">
+                    ${Object.entries(categoryDistribution)
+                        .sort((a, b) => b[1] - a[1])
+                        .slice(0, 10)
+                        .map(([cat, count]) => `
+                        <div style="padding: 1rem; background: var(--v-bg-tertiary); border-radius: var(--v-radius-md);">
+                            <div style="font-size: 1.5rem; font-weight: 700;">${count}</div>
+                            <div style="font-size: 0.85rem; color: var(--v-text-secondary); margin-top: 0.25rem;">${cat}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        ` : ''}
+        
+        <div class="chart-container">
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; flex-wrap: wrap;">
+                <h3 class="chart-title">Commonly Confused Pairs</h3>
+                ${confusedPairs.length > 0 ? `
+                    <button class="btn-secondary btn-sm" onclick="openQuizConfig('confused')" data-testid="button-drill-confused">
+                        <i class="fas fa-random"></i> Drill These Pairs
+                    </button>
+                ` : ''}
+            </div>
+            ${confusedPairs.length > 0
+                ? renderConfusedPairs(confusedPairs.slice(0, 10))
+                : '<p style="color: var(--v-text-secondary);">No mix-ups recorded yet. Wrong answers that match another word show up here.</p>'}
+        </div>
+        
+        <div class="chart-container">
+            <h3 class="chart-title">Quiz History (Last 10)</h3>
+            ${state.history.length > 0 ? `
+                <div style="overflow-x: auto;">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Score</th>
+                                <th>Words</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${state.history.slice(-10).reverse().map(quiz => `
+                                <tr>
+                                    <td>${formatDate(quiz.date)}${quiz.abandoned ? ' <span class="badge">Abandoned</span>' : ''}</td>
+                                    <td>${quiz.relearning ? `Drill · ${quiz.details?.length || 0} attempts` : `${quiz.score}/${quiz.total}`}</td>
+                                    <td>${quiz.details?.length || 0}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : '<p style="color: var(--v-text-secondary);">No quiz history yet.</p>'}
+        </div>
+        
+        <div style="margin-top: 2rem;">
+            <button class="btn-primary" onclick="generatePDFReport()" data-testid="button-generate-pdf">
+                <i class="fas fa-file-pdf"></i> Generate PDF Report
+            </button>
+        </div>
+    `;
+}
+
+function renderImportExport(container) {
+    container.innerHTML = `
+        <div class="page-header">
+            <h1 class="page-title">
+                <i class="fas fa-exchange-alt"></i>
+                Import / Export
+            </h1>
+            <p class="page-subtitle">Backup and restore your vocabulary data</p>
+        </div>
+        
+        <div class="card">
+            <h3><i class="fas fa-download"></i> Export Data</h3>
+            <p style="color: var(--v-text-secondary); margin: 1rem 0;">
+                Download all your words, statistics, and settings as a JSON backup file.
+            </p>
+            <button class="btn-primary" onclick="exportData()" data-testid="button-export">
+                <i class="fas fa-download"></i> Export Backup
+            </button>
+        </div>
+        
+        <div class="card" style="margin-top: 1.5rem;">
+            <h3><i class="fas fa-upload"></i> Import Data</h3>
+            <p style="color: var(--v-text-secondary); margin: 1rem 0;">
+                Restore from a backup file. Choose merge to keep existing data or replace to start fresh.
+            </p>
+            <input type="file" id="import-file" accept=".json" style="display: none;" data-testid="input-import-file">
+            <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
+                <button class="btn-secondary" onclick="document.getElementById('import-file').click()" data-testid="button-choose-file">
+                    <i class="fas fa-file"></i> Choose File
+                </button>
+                <button class="btn-primary" onclick="handleImport('merge')" data-testid="button-import-merge">
+                    <i class="fas fa-layer-group"></i> Merge
+                </button>
+                <button class="btn-destructive" onclick="handleImport('replace')" data-testid="button-import-replace">
+                    <i class="fas fa-sync"></i> Replace All
+                </button>
+            </div>
+            <p id="import-filename" style="margin-top: 0.5rem; font-size: 0.85rem; color: var(--v-text-tertiary);"></p>
+        </div>
+        
+        <div class="card" style="margin-top: 1.5rem;">
+            <h3><i class="fas fa-clone"></i> Anki</h3>
+            <p style="color: var(--v-text-secondary); margin: 1rem 0;">
+                Export your words as Anki notes (in Anki: File → Import, choose the .txt file), or bring in notes exported from Anki as plain text. Tags become categories.
+            </p>
+            <input type="file" id="anki-import-file" accept=".txt,.tsv,text/plain" style="display: none;" data-testid="input-anki-file">
+            <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
+                <button class="btn-primary" onclick="exportAnki()" data-testid="button-export-anki">
+                    <i class="fas fa-download"></i> Export for Anki
+                </button>
+                <button class="btn-secondary" onclick="document.getElementById('anki-import-file').click()" data-testid="button-import-anki">
+                    <i class="fas fa-upload"></i> Import Anki Notes
+                </button>
+            </div>
+        </div>
+        
+        <div class="card" style="margin-top: 1.5rem;">
+            <h3><i class="fas fa-file-csv"></i> Import from Spreadsheet</h3>
+            <p style="color: var(--v-text-secondary); margin: 1rem 0;">
+                Bring in word lists saved as CSV or TSV. You can choose which column goes into which field before importing.
+            </p>
+            <input type="file" id="csv-import-file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" style="display: none;" data-testid="input-csv-file">
+            <button class="btn-secondary" onclick="document.getElementById('csv-import-file').click()" data-testid="button-choose-csv">
+                <i class="fas fa-file"></i> Choose CSV / TSV File
+            </button>
+            <div id="csv-import-wizard" style="margin-top: 1rem;"></div>
+        </div>
+        
+        <div class="card" style="margin-top: 1.5rem;">
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; flex-wrap: wrap;">
+                <h3><i class="fas fa-history"></i> Restore Points</h3>
+                <button class="btn-secondary btn-sm" onclick="createManualSnapshot()" data-testid="button-create-snapshot">
+                    <i class="fas fa-camera"></i> Create Snapshot
+                </button>
             </div>
+            <p style="color: var(--v-text-secondary); margin: 1rem 0;">
+                Snapshots are taken automatically while you work, once a day, and before imports or clearing data.
+            </p>
+            <div id="snapshot-list" data-testid="list-snapshots"></div>
+        </div>
+        
+        <div class="card" style="margin-top: 1.5rem; border-color: var(--v-danger);">
+            <h3 style="color: var(--v-danger);"><i class="fas fa-exclamation-triangle"></i> Danger Zone</h3>
+            <p style="color: var(--v-text-secondary); margin: 1rem 0;">
+                Clear all data from the application. A safety snapshot is kept under Restore Points.
+            </p>
+            <button class="btn-destructive" onclick="confirmClearAll()" data-testid="button-clear-all-data">
+                <i class="fas fa-trash"></i> Clear All Data
+            </button>
         </div>
-        <div id="page-ai-content" style="margin-top:.5rem; display: none;">
-            <div class="form-group">
-                <label for="page-ai-input">Hangi kelimeyi eklemek istiyorsunuz? (AI yardım için yazıp Enter'a basın)</label>
-                <div style="display:flex; gap:.5rem; align-items:center;">
-                    <input type="text" id="page-ai-input" placeholder="Örnek: serendipity" style="flex:1; padding:8px;">
-                    <button type="button" class="btn-secondary" id="btn-open-chatgpt-page">ChatGPT ile Doldur</button>
-                </div>
-                <small style="display:block; color:var(--v-text-secondary); margin-top:.4rem;">Butona basınca hazır bir prompt panoya kopyalanır ve ekranda gösterilir. Kopyalayın, ChatGPT'ye yapıştırıp gönderin; gelen JSON'u aşağıya yapıştırarak formu doldurabilirsiniz.</small>
-            </div>
+    `;
+    
+    renderSnapshotList();
 
-            <div class="form-group">
-                <label for="page-ai-json">ChatGPT'den gelen JSON'u buraya yapıştırın ve "Uygula"ya basın</label>
-                <textarea id="page-ai-json" style="width:100%; min-height:140px; font-family:monospace; padding:8px; margin-top:.4rem;" placeholder='{"english": "...", "turkish": "..."}'></textarea>
-                <div style="display:flex; gap:.5rem; margin-top:.5rem;">
-                    <button type="button" class="btn-primary" id="btn-apply-ai-json-page">Yapıştır ve Uygula</button>
-                    <button type="button" class="btn-secondary" id="btn-clear-ai-json-page">Temizle</button>
-                    <div style="flex:1"></div>
-                    <small style="color:var(--v-text-secondary);">JSON formatı doğruysa form otomatik doldurulur.</small>
+    // Setup file input handler
+    document.getElementById('import-file').addEventListener('change', function(e) {
+        const file = e.target.files[0];
+        if (file) {
+            document.getElementById('import-filename').textContent = `Selected: ${file.name}`;
+        }
+    });
+
+    document.getElementById('csv-import-file').addEventListener('change', e => handleCsvFile(e.target.files[0]));
+    document.getElementById('anki-import-file').addEventListener('change', e => {
+        handleAnkiFile(e.target.files[0]);
+        e.target.value = '';
+    });
+}
+
+// ==================== QUIZ FUNCTIONS ====================
+function openQuizConfig(source) {
+    document.getElementById('quiz-config-modal').classList.add('active');
+    document.getElementById('quiz-source').value = source;
+    
+    if (source === 'category') {
+        document.getElementById('category-selector').style.display = 'block';
+        document.getElementById('quiz-custom-group').style.display = 'none';
+        document.getElementById('quiz-word-count-group').style.display = 'block';
+        const select = document.getElementById('quiz-category');
+        select.innerHTML = getAllCategories().map(cat => 
+            `<option value="${cat}">${cat}</option>`
+        ).join('');
+    } else if (source === 'custom') {
+        document.getElementById('category-selector').style.display = 'none';
+        document.getElementById('quiz-custom-group').style.display = 'block';
+        document.getElementById('quiz-word-count-group').style.display = 'none';
+        populateWordSelectionList();
+    } else if (source === 'confused' || source === 'plan') {
+        document.getElementById('category-selector').style.display = 'none';
+        document.getElementById('quiz-custom-group').style.display = 'none';
+        document.getElementById('quiz-word-count-group').style.display = 'none';
+    } else {
+        document.getElementById('category-selector').style.display = 'none';
+        document.getElementById('quiz-custom-group').style.display = 'none';
+        document.getElementById('quiz-word-count-group').style.display = 'block';
+    }
+}
+
+function openQuizConfigForCategory(category) {
+    document.getElementById('quiz-config-modal').classList.add('active');
+    document.getElementById('quiz-source').value = 'category';
+    document.getElementById('category-selector').style.display = 'block';
+    const select = document.getElementById('quiz-category');
+    select.innerHTML = getAllCategories().map(cat => 
+        `<option value="${cat}" ${cat === category ? 'selected' : ''}>${cat}</option>`
+    ).join('');
+}
+
+function populateWordSelectionList(searchQuery = '') {
+    const container = document.querySelector('.word-selection-list');
+    const allWords = Object.values(state.words);
+    const filteredWords = searchQuery ? 
+        allWords.filter(w => 
+            w.english.toLowerCase().includes(searchQuery.toLowerCase()) ||
+            w.turkish.toLowerCase().includes(searchQuery.toLowerCase()) ||
+            w.categories.some(c => c.toLowerCase().includes(searchQuery.toLowerCase()))
+        ) : allWords;
+
+    container.innerHTML = filteredWords.map(word => `
+        <div class="word-selection-item" data-word-id="${word.id}" style="padding: 8px; display: flex; align-items: center; gap: 8px; cursor: pointer; border-bottom: 1px solid var(--v-border-color); user-select: none;">
+            <input type="checkbox" style="margin: 0;">
+            <div>
+                <div style="font-weight: 500;">${escapeHtml(word.english)}</div>
+                <div style="color: var(--v-text-secondary); font-size: 0.9em;">
+                    ${escapeHtml(word.turkish)}
+                    ${word.categories.length ? 
+                        `<span style="opacity: 0.7"> • ${word.categories.join(', ')}</span>` 
+                        : ''}
                 </div>
             </div>
         </div>
-    `;
-    if (pageForm) pageForm.prepend(pageHelper);
+    `).join('');
 
-    // Wire page helper buttons
-    // Ensure toggle and OK work immediately after insertion
-    const pageToggleBtn = document.getElementById('btn-toggle-ai-page');
-    const pageOkBtn = document.getElementById('btn-open-ai-page-ok');
-    const pageContent = document.getElementById('page-ai-content');
-    if (pageToggleBtn && pageContent) {
-        pageToggleBtn.addEventListener('click', () => {
-            const icon = pageToggleBtn.querySelector('i');
-            if (pageContent.style.display === 'none') {
-                pageContent.style.display = '';
-                if (icon) icon.className = 'fas fa-chevron-down';
-                pageToggleBtn.style.transform = 'rotate(0deg)';
-            } else {
-                pageContent.style.display = 'none';
-                if (icon) icon.className = 'fas fa-chevron-up';
-                pageToggleBtn.style.transform = 'rotate(180deg)';
-            }
+    updateSelectedWordsCount();
+
+    // Add click handlers
+    container.querySelectorAll('.word-selection-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            if (e.target.type === 'checkbox') return; // Don't handle checkbox clicks
+            const checkbox = item.querySelector('input[type="checkbox"]');
+            checkbox.checked = !checkbox.checked;
+            updateSelectedWordsCount();
         });
+        
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        checkbox.addEventListener('change', updateSelectedWordsCount);
+    });
+}
+
+function updateSelectedWordsCount() {
+    const count = document.querySelectorAll('.word-selection-item input[type="checkbox"]:checked').length;
+    document.getElementById('selected-words-count').textContent = count;
+}
+
+// --- ChatGPT prompt helpers ---
+function generateChatGPTPrompt(word) {
+        return `I will give you a single English word: "${word}".
+Please reply ONLY with a single JSON object that strictly follows the schema below. Do not include any extra commentary, explanation, or text — only JSON.
+
+Schema:
+{
+    "english": string,                    // the headword
+    "turkish": string,                    // short Turkish translation
+    "pronunciation": string|null,         // IPA or readable pron
+    "partOfSpeech": string|null,          // noun / verb / adj / adv / phrase etc.
+    "level": string|null,                 // CEFR level (A1..C2) just say level no extra infomation
+    "frequencyNote": string|null,         // common / uncommon / rare or frequency note
+    "synonyms": [string],
+    "antonyms": [string],
+    "collocations": [string],             // common collocations (e.g. "make a decision")
+    "englishExplanation": string|null,    // clear English definition
+    "turkishExplanation": string|null,    // clear Turkish definition
+    "notes": string|null,                 // short usage notes, pitfalls, register
+    "examples": [                         // provide AT LEAST 4 examples
+        {"english": string, "turkish": string, "context": string|null, "register": string|null}
+    ]
+}
+
+Requirements:
+- Provide at least 4 example sentences. Among them include: one formal (e.g., email/report), one informal (casual conversation), one academic/business, and one common everyday usage.
+- For each example include an optional "context" (e.g., "email", "casual chat", "news article") and "register" (e.g., "formal", "informal").
+- Keep array items as arrays and strings as strings. Use null for empty optional fields.
+- DO NOT output anything except the JSON object (no markdown, no explanation).
+
+Word: ${word}`;
+}
+
+function showAIPromptModal(prompt) {
+    const modal = document.getElementById('ai-prompt-modal');
+    const ta = document.getElementById('ai-prompt-text');
+    if (!modal || !ta) return;
+    ta.value = prompt;
+    modal.style.display = 'flex';
+    modal.classList.add('active');
+}
+
+function hideAIPromptModal() {
+    const modal = document.getElementById('ai-prompt-modal');
+    if (!modal) return;
+    modal.style.display = 'none';
+    modal.classList.remove('active');
+}
+
+function copyPromptToClipboard(prompt) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        return navigator.clipboard.writeText(prompt);
     }
-    if (pageOkBtn && pageContent) {
-        pageOkBtn.addEventListener('click', () => {
-            const icon = pageToggleBtn?.querySelector('i');
-            const isClosed = pageContent.style.display === 'none' || pageContent.style.display === '' && getComputedStyle(pageContent).display === 'none';
-            if (isClosed) {
-                pageContent.style.display = '';
-                if (pageToggleBtn) { pageToggleBtn.style.transform = 'rotate(0deg)'; if (icon) icon.className = 'fas fa-chevron-down'; }
-                pageOkBtn.textContent = 'Yardımı Kapat';
-                pageOkBtn.setAttribute('aria-pressed', 'true');
-                setTimeout(() => document.getElementById('page-ai-input')?.focus(), 50);
-            } else {
-                pageContent.style.display = 'none';
-                if (pageToggleBtn) { pageToggleBtn.style.transform = 'rotate(180deg)'; if (icon) icon.className = 'fas fa-chevron-up'; }
-                pageOkBtn.textContent = 'Evet, yardım istiyorum';
-                pageOkBtn.setAttribute('aria-pressed', 'false');
-            }
-        });
+    return Promise.reject(new Error('Clipboard API not available'));
+}
+
+function copyPromptAndOpenChatGPT(prompt) {
+    // Show the modal with prompt so user always has visible fallback
+    showAIPromptModal(prompt);
+
+    // Try to copy silently; if succeeds, open ChatGPT automatically
+    copyPromptToClipboard(prompt).then(() => {
+        showToast('Prompt panoya kopyalandı. ChatGPT açılıyor — yapıştırıp gönderin.', 'success');
+        // attempt to open ChatGPT
+        try { window.open('https://chat.openai.com/chat', '_blank'); } catch (e) { /* ignore */ }
+    }).catch(() => {
+        // If copy fails, user can copy from modal
+        showToast('Prompt panoya kopyalanamadı. Lütfen elle kopyalayın veya "Kopyala" butonunu kullanın.', 'warning');
+    });
+}
+
+function applyChatGPTJson(rawText, prefix = 'f-') {
+    if (!rawText || !rawText.trim()) {
+        showToast('Lütfen ChatGPT tarafından üretilen JSON metnini yapıştırın.', 'warning');
+        return;
+    }
+
+    // Extract first JSON object substring between first '{' and last '}'
+    const first = rawText.indexOf('{');
+    const last = rawText.lastIndexOf('}');
+    if (first === -1 || last === -1 || last <= first) {
+        showToast('Geçerli JSON bulunamadı. Lütfen yalnızca JSON objesini yapıştırın.', 'error');
+        return;
+    }
+
+    const jsonStr = rawText.slice(first, last + 1);
+    let obj;
+    try {
+        obj = JSON.parse(jsonStr);
+    } catch (err) {
+        console.error('JSON parse error', err);
+        showToast('JSON ayrıştırılamadı. Lütfen formatı kontrol edin.', 'error');
+        return;
     }
 
-    document.getElementById('btn-open-chatgpt-page')?.addEventListener('click', () => {
-        const w = document.getElementById('page-ai-input')?.value.trim();
-        if (!w) { showToast('Lütfen önce bir kelime yazın.', 'warning'); return; }
-        const prompt = generateChatGPTPrompt(w);
-        showAIPromptModal(prompt);
-        copyPromptToClipboard(prompt).then(() => {
-            showToast('Prompt panoya kopyalandı. ChatGPT' + "'" + 'ye yapıştırıp gönderin.', 'success');
-        }).catch(() => {
-            showToast('Prompt panoya kopyalanamadı; lütfen alttaki alandan kopyalayın.', 'warning');
-        });
-    });
+    // Map fields to form inputs
+    const set = (id, value) => {
+        const el = document.getElementById(id);
+        if (!el) return;
+        el.value = value ?? '';
+        // Trigger input events if needed
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    set(prefix + 'english', obj.english || obj.English || '');
+    set(prefix + 'turkish', obj.turkish || obj.Turkish || '');
+    set(prefix + 'pron', obj.pronunciation || obj.pron || '');
+    const pos = String(obj.partOfSpeech || '').trim().toLowerCase();
+    const knownPos = PARTS_OF_SPEECH.find(p => p === pos || p.startsWith(pos.replace(/\.$/, '')));
+    set(prefix + 'pos', pos && knownPos ? knownPos : '');
+    set(prefix + 'level', obj.level || 'C1');
+    set(prefix + 'engExp', obj.englishExplanation || obj.englishExplanation || '');
+    // Handle both modal and page IDs for Turkish explanation: modal uses 'f-turkishExp', page uses 'page-turkExp'
+    const turkVal = obj.turkishExplanation || obj.turkishExp || obj.turkExp || obj.turkish || '';
+    set(prefix + 'turkExp', turkVal);
+    set(prefix + 'turkishExp', turkVal);
+    set(prefix + 'turkishExplanation', turkVal);
+
+    // Synonyms/antonyms
+    if (Array.isArray(obj.synonyms)) set(prefix + 'syn', obj.synonyms.join(', '));
+    if (Array.isArray(obj.antonyms)) set(prefix + 'ant', obj.antonyms.join(', '));
 
-    document.getElementById('page-ai-input')?.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            e.preventDefault();
-            document.getElementById('btn-open-chatgpt-page')?.click();
-        }
-    });
+    // Notes
+    if (obj.notes || obj.note) set(prefix + 'notes', obj.notes || obj.note || '');
 
-    // Wire apply/clear for page json area
-    document.getElementById('btn-apply-ai-json-page')?.addEventListener('click', () => {
-        const raw = document.getElementById('page-ai-json')?.value || '';
-        applyChatGPTJson(raw, 'page-');
-    });
-    document.getElementById('btn-clear-ai-json-page')?.addEventListener('click', () => {
-        const ta = document.getElementById('page-ai-json'); if (ta) ta.value = '';
-    });
-}
+    // Examples: convert to lines like "English — Turkish"
+    if (Array.isArray(obj.examples)) {
+        const lines = obj.examples.map(e => {
+            if (typeof e === 'string') return e;
+            const en = e.english || e.en || '';
+            const tr = e.turkish || e.tr || '';
+            return tr ? `${en} — ${tr}` : en;
+        });
+        set(prefix + 'examples', lines.join('\n'));
+    }
 
-function renderDictionary(container) {
-    const words = Object.values(state.words);
-    
-    // Set the view identifier for the container
-    container.setAttribute('data-view', 'dictionary');
-    
-    container.innerHTML = `
-        <div class="page-header">
-            <h1 class="page-title">
-                <i class="fas fa-book"></i>
-                Dictionary
-            </h1>
-            <p class="page-subtitle">${words.length} words in your collection</p>
-        </div>
-        
-        <div class="filter-bar">
-            <div class="search-box">
-                <i class="fas fa-search"></i>
-                <input type="search" id="dict-search" placeholder="Search words..." data-testid="input-search-words">
-            </div>
-            
-            <select id="level-filter" data-testid="select-filter-level">
-                <option value="">All Levels</option>
-                <option value="A1">A1</option>
-                <option value="A2">A2</option>
-                <option value="B1">B1</option>
-                <option value="B2">B2</option>
-                <option value="C1">C1</option>
-                <option value="C2">C2</option>
-            </select>
-            
-            <select id="category-filter" data-testid="select-filter-category">
-                <option value="">All Categories</option>
-                ${getAllCategories().map(cat => `<option value="${cat}">${cat}</option>`).join('')}
-            </select>
-            
-            <button class="btn-primary" onclick="openAddWordModal()" data-testid="button-add-new-word">
-                <i class="fas fa-plus"></i> Add Word
-            </button>
-        </div>
-        
-        <div id="words-list" class="card-grid">
-            ${words.length > 0 ? words.map(word => renderWordCard(word)).join('') : `
-                <div class="empty-state">
-                    <i class="fas fa-book-open"></i>
-                    <h3>No words yet</h3>
-                    <p>Start building your vocabulary!</p>
-                </div>
-            `}
-        </div>
-    `;
-    
-    // Add event listeners for filters
-    document.getElementById('dict-search')?.addEventListener('input', filterWords);
-    document.getElementById('level-filter')?.addEventListener('change', filterWords);
-    document.getElementById('category-filter')?.addEventListener('change', filterWords);
+    showToast('Form alanları ChatGPT JSON ile dolduruldu. Lütfen kontrol edip Kaydetin.', 'success');
 }
 
-function filterWords() {
-    const search = document.getElementById('dict-search')?.value.toLowerCase() || '';
-    const level = document.getElementById('level-filter')?.value || '';
-    const category = document.getElementById('category-filter')?.value || '';
+function startQuiz() {
+    const source = document.getElementById('quiz-source').value;
+    const randomize = document.getElementById('quiz-randomize').checked;
     
-    let filtered = Object.values(state.words);
+    const questionTypes = Array.from(document.querySelectorAll('#quiz-question-types input[type="checkbox"][value]'))
+        .filter(cb => cb.checked)
+        .map(cb => cb.value);
     
-    if (search) {
-        filtered = filtered.filter(w => 
-            w.english.toLowerCase().includes(search) ||
-            w.turkish.toLowerCase().includes(search) ||
-            w.englishExplanation.toLowerCase().includes(search)
-        );
+    if (questionTypes.length === 0) {
+        showToast('Please select at least one question type.', 'warning');
+        return;
     }
     
-    if (level) {
-        filtered = filtered.filter(w => w.level === level);
+    // Get words based on source
+    let words = [];
+    switch (source) {
+        case 'all':
+            words = Object.values(state.words);
+            break;
+        case 'due':
+            words = getDueWords();
+            break;
+        case 'favorites':
+            words = Object.values(state.words).filter(w => w.favorite);
+            break;
+        case 'hard':
+            words = Object.values(state.words).filter(w => isHardWord(w));
+            break;
+        case 'confused':
+            words = getConfusedPairWords();
+            break;
+        case 'plan':
+            words = getStudyPlan().words;
+            break;
+        case 'category':
+            const category = document.getElementById('quiz-category').value;
+            words = getWordsByCategory(category);
+            break;
+        case 'custom':
+            const selectedIds = Array.from(document.querySelectorAll('.word-selection-item input[type="checkbox"]:checked'))
+                .map(cb => cb.closest('.word-selection-item').getAttribute('data-word-id'));
+            words = Object.values(state.words).filter(w => selectedIds.includes(w.id));
+            break;
     }
     
-    if (category) {
-        filtered = filtered.filter(w => w.categories.includes(category));
+    if (source === 'confused' && words.length < 2) {
+        showToast('No confused pairs yet. Keep practising!', 'info');
+        return;
+    } else if (source === 'plan' && words.length === 0) {
+        showToast("You're done for today. Come back tomorrow!", 'success');
+        return;
+    } else if (!['confused', 'plan'].includes(source) && words.length < 5) {
+        showToast('You need at least 5 words to start a quiz.', 'warning');
+        return;
     }
     
-    const listContainer = document.getElementById('words-list');
-    if (listContainer) {
-        listContainer.innerHTML = filtered.length > 0 
-            ? filtered.map(word => renderWordCard(word)).join('') 
-            : '<div class="empty-state"><i class="fas fa-search"></i><h3>No words found</h3></div>';
-    }
-}
+    // Custom, confused-pair and study-plan sessions always use every word in the set
+    const usesAllWords = ['custom', 'confused', 'plan'].includes(source);
+    let wordCount = usesAllWords ? words.length : parseInt(document.getElementById('quiz-word-count').value);
 
-function renderWordCard(word) {
-    const correctRate = word.stats.timesTested > 0 
-        ? (word.stats.correctCount / word.stats.timesTested * 100) 
-        : 0;
+    if (!usesAllWords && wordCount < 5) {
+        showToast('Please select at least 5 words.', 'warning');
+        return;
+    }
     
-    return `
-        <div class="word-card" data-testid="card-word-${word.id}" onclick="navigateTo('word:${word.id}')">
-            <div class="word-header">
-                <div>
-                    <div class="word-english">${word.english}
-                        <button class="btn-play" onclick="playPronunciation('${word.english}', this)" data-testid="button-play-${word.id}">
-                            <i class="fas fa-volume-up"></i>
-                        </button>
-                    </div>
-                    ${word.pronunciation ? `
-                        <div class="word-pronunciation">
-                            ${word.pronunciation}
-                        </div>
-                    ` : ''}
-                </div>
-                <div class="word-actions">
-                    <button class="btn-icon" onclick="toggleFavorite('${word.id}'); event.stopPropagation(); renderDictionary(document.getElementById('mainContent'));" data-testid="button-favorite-${word.id}">
-                        <i class="fas fa-star" style="color: ${word.favorite ? 'var(--v-warning)' : 'var(--v-text-tertiary)'}"></i>
-                    </button>
-                    <button class="btn-icon" onclick="openEditWordModal('${word.id}'); event.stopPropagation();" data-testid="button-edit-${word.id}">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn-icon" onclick="confirmDeleteWord('${word.id}'); event.stopPropagation();" data-testid="button-delete-${word.id}">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-            </div>
-            
-            ${word.turkish ? `<div class="word-turkish">${word.turkish}</div>` : ''}
+    // Shuffle and select words; the study plan is already in priority order
+    // and confused words are grouped by pair
+    const shuffled = ['plan', 'confused'].includes(source) ? words : shuffle(words);
+    const selectedWords = shuffled.slice(0, Math.min(wordCount, words.length));
     
-            ${getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp') ? `
-                        <div class="word-explanation">
-                            <strong>Türkçe Açıklama:</strong>
-                            <p>${getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp')}</p>
-                        </div>
-                    ` : ''}
-            
-            ${word.englishExplanation ? `
-                <div class="word-explanation">
-                    <strong>English Explanation:</strong>
-                    <p>${word.englishExplanation}</p>
-                </div>
-            ` : ''}
-            
-            ${word.notes ? `
-                <div class="word-notes">
-                    <strong>Notes:</strong>
-                    <p>${escapeHtml(word.notes)}</p>
-                </div>
-            ` : ''}
-
-            ${word.examples.length > 0 ? `
-                <div class="word-examples">
-                    <strong>Examples:</strong>
-                    <ul>
-                        ${word.examples.map(example => `<li>${example}</li>`).join('')}
-                    </ul>
-                </div>
-            ` : ''}
-            
-            ${word.synonyms.length > 0 ? `
-                <div class="word-synonyms">
-                    <strong>Synonyms:</strong> ${word.synonyms.join(', ')}
-                </div>
-            ` : ''}
-            
-            ${word.antonyms.length > 0 ? `
-                <div class="word-antonyms">
-                    <strong>Antonyms:</strong> ${word.antonyms.join(', ')}
-                </div>
-            ` : ''}
-            
-            <div class="word-meta">
-                <span class="badge badge-level ${word.level}">${word.level}</span>
-                ${word.categories.slice(0, 2).map(cat => 
-                    `<span class="badge badge-category">${cat}</span>`
-                ).join('')}
-                ${word.categories.length > 2 ? 
-                    `<span class="badge badge-category">+${word.categories.length - 2} more</span>` 
-                : ''}
-                ${word.stats.learned ? '<span class="badge" style="background: var(--v-success); color: white;">Learned</span>' : ''}
-                ${isHardWord(word) ? '<span class="badge" style="background: var(--v-danger); color: white;">Hard</span>' : ''}
+    // Generate questions
+    const questions = [];
+    selectedWords.forEach(word => {
+        // Confused words are asked with the word they were mixed up with among the options
+        const partner = source === 'confused' ? getConfusionPartners(word.id)[0] : null;
+        questionTypes.filter(type => type !== 'matching' && isQuestionTypeApplicable(word, type)).forEach(type => {
+            questions.push({ word, type, learning: isLearningWord(word), ...(partner ? { partnerId: partner.word.id } : {}) });
+        });
+    });
+    if (questionTypes.includes('matching')) {
+        questions.push(...buildMatchingQuestions(selectedWords));
+    }
+    
+    if (questions.length === 0) {
+        showToast('None of the selected words have data for these question types.', 'warning');
+        return;
+    }
+    
+    if (randomize) {
+        questions.splice(0, questions.length, ...shuffle(questions));
+    }
+    
+    // Starting over leaves the unfinished quiz in history as a partial session
+    if (state.activeQuiz) abandonQuiz({ silent: true });
+    
+    currentQuiz = {
+        id: generateUUID(),
+        source,
+        questions,
+        currentIndex: 0,
+        answers: [],
+        writingMode: document.getElementById('quiz-writing-mode')?.value || 'tiles',
+        timing: readQuizTiming(),
+        startTime: new Date().toISOString()
+    };
+    
+    document.getElementById('quiz-config-modal').classList.remove('active');
+    navigateTo('quiz');
+}
+
+function startDailyTest() {
+    if (getStudyPlan().words.length === 0) {
+        showToast("Nothing left in today's plan. Come back tomorrow!", 'info');
+        return;
+    }
+    
+    openQuizConfig('plan');
+}
+
+function renderQuiz(container) {
+    if (!currentQuiz || currentQuiz.currentIndex >= currentQuiz.questions.length) {
+        navigateTo('learn');
+        return;
+    }
+    persistActiveQuiz();
+    
+    const question = currentQuiz.questions[currentQuiz.currentIndex];
+    const progress = currentQuiz.currentIndex;
+    const total = currentQuiz.questions.length;
+    
+    currentQuiz.questionStartedAt = Date.now();
+    
+    container.innerHTML = `
+        <div class="quiz-container">
+            <div class="quiz-toolbar">
+                <button class="btn-secondary btn-sm" onclick="abandonQuiz()" data-testid="button-abandon-quiz">
+                    <i class="fas fa-times"></i> Abandon
+                </button>
+            </div>
+            ${renderQuizTimer()}
+            <div class="quiz-progress">
+                ${currentQuiz.questions.map((q, i) => `
+                    <div class="progress-dot ${
+                        i < progress ? (getQuestionAnswers(i).every(a => a.correct) ? 'correct' : 'wrong') : 
+                        i === progress ? 'current' : ''
+                    }${q.requeued ? ' requeued' : ''}" title="${q.requeued ? 'Repeated card' : ''}"></div>
+                `).join('')}
             </div>
             
-            ${word.stats.timesTested > 0 ? `
-                <div class="stats-bar">
-                    <div class="stats-bar-fill" style="width: ${correctRate}%"></div>
-                </div>
-                <div style="font-size: 0.75rem; color: var(--v-text-tertiary); margin-top: 0.25rem;">
-                    ${word.stats.correctCount}/${word.stats.timesTested} correct (${Math.round(correctRate)}%)
+            <div class="quiz-question">
+                <div class="question-number">
+                    Question ${progress + 1} of ${total}
+                    ${question.requeued ? '<span class="badge">Again</span>' : (question.learning && question.word && isLearningWord(question.word) ? '<span class="badge">New</span>' : '')}
                 </div>
-            ` : ''}
+                <div id="question-content"></div>
+            </div>
         </div>
     `;
+    
+    renderQuestion(question, document.getElementById('question-content'));
+    startQuizTimer();
 }
 
-function renderFavorites(container) {
-    const favorites = Object.values(state.words).filter(w => w.favorite);
+// Answers recorded for one question; matching questions record one per pair
+function getQuestionAnswers(index) {
+    return currentQuiz.answers.filter(a => a.questionIndex === index);
+}
+
+function renderQuestion(question, container) {
+    const { word, type } = question;
+    
+    switch (type) {
+        case 'direct':
+            renderDirectTranslation(word, container, state.words[question.partnerId]);
+            break;
+        case 'reverse':
+            renderReverseTranslation(word, container, state.words[question.partnerId]);
+            break;
+        case 'writing':
+            renderWriting(question, container);
+            break;
+        case 'listening':
+            renderListening(word, container);
+            break;
+        case 'recall':
+        case 'recall-reverse':
+            renderRecall(word, container, type);
+            break;
+        case 'synonym':
+        case 'antonym':
+            renderRelation(question, container);
+            break;
+        case 'matching':
+            renderMatching(question, container);
+            break;
+        case 'definition':
+        case 'choose-definition':
+            renderDefinition(question, container);
+            break;
+    }
+}
+
+// Some question types need data that not every word has
+function isQuestionTypeApplicable(word, type) {
+    switch (type) {
+        case 'synonym':
+            return (word.synonyms || []).length > 0;
+        case 'antonym':
+            return (word.antonyms || []).length > 0;
+        case 'definition':
+        case 'choose-definition':
+            return Boolean(getDefinition(word));
+        default:
+            return true;
+    }
+}
+
+function renderDirectTranslation(word, container, partner = null) {
+    const distractors = generateDistractors(word, 'turkish', 3, partner);
+    const options = shuffle([word.turkish, ...distractors]);
     
     container.innerHTML = `
-        <div class="page-header">
-            <h1 class="page-title">
-                <i class="fas fa-star"></i>
-                Favorite Words
-            </h1>
-            <p class="page-subtitle">${favorites.length} words marked as favorites</p>
+        <div class="question-text">${word.english}</div>
+        <p style="color: var(--v-text-secondary); margin-bottom: 2rem;">Select the Turkish translation:</p>
+        <div class="quiz-options">
+            ${options.map(option => `
+                <div class="quiz-option" onclick="selectOption(this, '${word.turkish}')" data-testid="option-${option}">
+                    ${option || '(No translation)'}
+                </div>
+            `).join('')}
         </div>
-        
-        <div class="card-grid">
-            ${favorites.length > 0 ? favorites.map(word => renderWordCard(word)).join('') : `
-                <div class="empty-state">
-                    <i class="fas fa-star"></i>
-                    <h3>No favorites yet</h3>
-                    <p>Mark words as favorites to see them here.</p>
+        <button class="btn-primary btn-block" onclick="submitAnswer()" data-testid="button-submit-answer">
+            Submit Answer
+        </button>
+    `;
+}
+
+function renderReverseTranslation(word, container, partner = null) {
+    const distractors = generateDistractors(word, 'english', 3, partner);
+    const options = shuffle([word.english, ...distractors]);
+    
+    container.innerHTML = `
+        <div class="question-text">${word.turkish || getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp')}</div>
+        <p style="color: var(--v-text-secondary); margin-bottom: 2rem;">Select the English word:</p>
+        <div class="quiz-options">
+            ${options.map(option => `
+                <div class="quiz-option" onclick="selectOption(this, '${word.english}')" data-testid="option-${option}">
+                    ${option}
                 </div>
-            `}
+            `).join('')}
         </div>
+        <button class="btn-primary btn-block" onclick="submitAnswer()">
+            Submit Answer
+        </button>
     `;
 }
 
-function renderWordDetail(container, id) {
-    const word = state.words[id];
-    if (!word) {
+function renderWriting(question, container) {
+    const { word } = question;
+    if (!question.cloze) question.cloze = buildCloze(word);
+    const cloze = question.cloze;
+    const prompt = cloze.sentence
+        ? `Fill in the blank${cloze.blanks.length > 1 ? 's' : ''}:`
+        : `Write the English word for "${escapeHtml(word.turkish)}":`;
+
+    if (currentQuiz.writingMode === 'typed') {
         container.innerHTML = `
-            <div class="page-header">
-                <h1 class="page-title">Word not found</h1>
-                <p class="page-subtitle">The requested word was not found in your dictionary.</p>
-            </div>
-            <div class="card">
-                <p>Try returning to the <a href="#dictionary" onclick="navigateTo('dictionary'); return false;">dictionary</a>.</p>
-            </div>
+            <div class="question-text">${prompt}</div>
+            <p class="cloze-sentence" style="font-size: 1.1rem; margin: 1.25rem 0; font-style: italic;">
+                ${renderClozeSentence(cloze, (blank, i) => `<input type="text" class="cloze-input" data-blank="${i}" size="${Math.max(4, blank.text.length + 1)}" autocomplete="off" autocapitalize="off" spellcheck="false" aria-label="Blank ${i + 1}" data-testid="input-cloze-${i}">`)}
+            </p>
+            <button class="btn-primary btn-block" onclick="submitAnswer()" style="margin-top: 2rem;" data-testid="button-submit-answer">
+                Submit Answer
+            </button>
         `;
+
+        const inputs = Array.from(container.querySelectorAll('.cloze-input'));
+        inputs.forEach((input, i) => {
+            input.addEventListener('keydown', e => {
+                if (e.key !== 'Enter') return;
+                e.preventDefault();
+                if (inputs[i + 1]) {
+                    inputs[i + 1].focus();
+                } else {
+                    input.blur();
+                    submitAnswer();
+                }
+            });
+        });
+        setTimeout(() => inputs[0]?.focus(), 50);
         return;
     }
 
-    const examplesHtml = (word.examples || []).map(ex => {
-        if (typeof ex === 'string') return `<li>${escapeHtml(ex)}</li>`;
-        const en = escapeHtml(ex.english || ex.en || '');
-        const tr = escapeHtml(ex.turkish || ex.tr || '');
-        return `<li><strong>${en}</strong>${tr ? ` — ${tr}` : ''}</li>`;
-    }).join('');
+    // Letter tiles spell every blank in order, separated by fixed " / " slots
+    const target = getClozeAnswer(cloze);
+    const letters = target.split('');
+    const isFillable = ch => /[A-Za-zÀ-ÖØ-öø-ÿ]/.test(ch);
+
+    // Create shuffled pool
+    const pool = shuffle(letters.filter(isFillable).map((ch, i) => ({ ch, id: `${i}-${Math.random().toString(36).slice(2,8)}` })));
 
     container.innerHTML = `
-        <div class="page-header">
-            <a href="#dictionary" id="btn-back-dict" class="btn-secondary" style="margin-bottom: 1rem; display: inline-flex; align-items: center; gap: .5rem;" onclick="navigateTo('dictionary'); return false;">
-                <i class="fas fa-arrow-left"></i> Back
-            </a>
-            <h1 class="page-title">${escapeHtml(word.english)}</h1>
-            <p class="page-subtitle">${escapeHtml(word.turkish)}</p>
+        <div class="question-text">${prompt}</div>
+        ${cloze.sentence ? `<p style="font-size: 1.1rem; margin: 1.25rem 0; font-style: italic;">"${renderClozeSentence(cloze, () => '____')}"</p>` : ''}
+
+        <div id="writing-slots" class="writing-slots" aria-label="answer slots">
+            ${letters.map((ch, idx) => {
+                if (isFillable(ch)) {
+                    return `<span class="slot" data-index="${idx}" data-fixed="false"></span>`;
+                } else {
+                    return `<span class="slot fixed" data-index="${idx}" data-fixed="true">${escapeHtml(ch)}</span>`;
+                }
+            }).join('')}
         </div>
 
-        <div class="card">
-            <div style="display:flex; justify-content:space-between; align-items:flex-start; gap:1rem;">
-                <div style="flex:1;">
-                    <div style="display:flex; gap:.5rem; align-items:center;">
-                        <h2 style="margin:0;">${escapeHtml(word.english)}</h2>
-                        <button class="btn-play" onclick="playPronunciation('${escapeHtml(word.english)}', this)"><i class="fas fa-volume-up"></i></button>
-                        <button class="btn-secondary" onclick="copyPermalink('${id}'); event.stopPropagation();">Copy Link</button>
-                    </div>
+        <div id="letter-pool" class="letter-pool" aria-label="letter pool">
+            ${pool.map(p => `<button class="letter-tile" data-id="${p.id}" data-char="${escapeHtml(p.ch)}">${escapeHtml(p.ch)}</button>`).join('')}
+        </div>
 
-                    ${word.pronunciation ? `<div style="margin-top:.5rem; color: var(--v-text-secondary);">${escapeHtml(word.pronunciation)}</div>` : ''}
+        <div style="display:flex; gap: .5rem; margin-top: 1rem;">
+            <button class="btn-secondary" id="btn-clear-slots">Clear</button>
+            <div style="flex:1"></div>
+            <button class="btn-primary btn-block" onclick="submitAnswer()">Submit Answer</button>
+        </div>
+    `;
 
-                    ${getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp') ? `
-                        <div style="margin-top:1rem;"><strong>Türkçe Açıklama</strong><p>${escapeHtml(getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp'))}</p></div>
-                    ` : ''}
+    // Wire interactions
+    const poolEl = container.querySelector('#letter-pool');
+    const slotsEl = container.querySelector('#writing-slots');
 
-                    ${word.englishExplanation ? `<div style="margin-top:1rem;"><strong>English Explanation</strong><p>${escapeHtml(word.englishExplanation)}</p></div>` : ''}
+    function findNextEmptySlot() {
+        return slotsEl.querySelector('.slot:not(.fixed):not([data-filled="true"])');
+    }
 
-                    ${examplesHtml ? `<div style="margin-top:1rem;"><strong>Examples</strong><ul>${examplesHtml}</ul></div>` : ''}
-                </div>
+    poolEl.addEventListener('click', (e) => {
+        const btn = e.target.closest('.letter-tile');
+        if (!btn) return;
+        const char = btn.getAttribute('data-char');
+        const id = btn.getAttribute('data-id');
+        const slot = findNextEmptySlot();
+        if (!slot) return; // no empty slots
+        slot.textContent = char;
+        slot.setAttribute('data-filled', 'true');
+        slot.setAttribute('data-from', id);
+        btn.disabled = true;
+        btn.classList.add('used');
+    });
 
-                <div style="width:260px;">
-                    <div style="display:flex; gap:.5rem; margin-bottom:1rem;">
-                        <button class="btn-primary" onclick="openEditWordModal('${id}'); event.stopPropagation();">Edit</button>
-                        <button class="btn-destructive" onclick="confirmDeleteWord('${id}'); event.stopPropagation();">Delete</button>
-                    </div>
+    slotsEl.addEventListener('click', (e) => {
+        const slot = e.target.closest('.slot');
+        if (!slot) return;
+        if (slot.classList.contains('fixed')) return;
+        const fromId = slot.getAttribute('data-from');
+        if (fromId) {
+            const tile = poolEl.querySelector(`.letter-tile[data-id="${fromId}"]`);
+            if (tile) {
+                tile.disabled = false;
+                tile.classList.remove('used');
+            }
+        }
+        slot.removeAttribute('data-from');
+        slot.removeAttribute('data-filled');
+        slot.textContent = '';
+    });
 
-                    <div style="margin-top:1rem;">
-                        <div><strong>Level</strong>: <span class="badge badge-level ${word.level}">${word.level}</span></div>
-                        <div style="margin-top:.5rem;"><strong>Categories</strong>: ${word.categories.map(c => `<span class="badge badge-category">${escapeHtml(c)}</span>`).join(' ')}</div>
-                        <div style="margin-top:.5rem;"><strong>Synonyms</strong>: ${word.synonyms.join(', ') || '-'}</div>
-                        <div style="margin-top:.5rem;"><strong>Antonyms</strong>: ${word.antonyms.join(', ') || '-'}</div>
-                        <div style="margin-top:.5rem;"><strong>Added</strong>: ${formatDate(word.stats.addedAt)}</div>
-                    </div>
-                </div>
-            </div>
-        </div>
+    container.querySelector('#btn-clear-slots').addEventListener('click', () => {
+        slotsEl.querySelectorAll('.slot').forEach(s => {
+            if (s.classList.contains('fixed')) return;
+            const fromId = s.getAttribute('data-from');
+            if (fromId) {
+                const tile = poolEl.querySelector(`.letter-tile[data-id="${fromId}"]`);
+                if (tile) { tile.disabled = false; tile.classList.remove('used'); }
+            }
+            s.removeAttribute('data-from');
+            s.removeAttribute('data-filled');
+            s.textContent = '';
+        });
+    });
+}
+
+// Free recall: no options and no letter pool, the learner types the translation
+function renderRecall(word, container, type) {
+    const toTurkish = type === 'recall';
+    const prompt = toTurkish ? word.english : (word.turkish || getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp'));
+    
+    container.innerHTML = `
+        <div class="question-text">${escapeHtml(prompt)}</div>
+        <p style="color: var(--v-text-secondary); margin-bottom: 2rem;">Type the ${toTurkish ? 'Turkish translation' : 'English word'}:</p>
+        <input type="text" class="quiz-input" id="recall-answer" autocomplete="off" autocapitalize="off" spellcheck="false"
+            placeholder="${toTurkish ? 'Türkçesini yazın...' : 'Type the English word...'}"
+            onkeydown="if (event.key === 'Enter') submitAnswer()" data-testid="input-recall-answer">
+        <button class="btn-primary btn-block" onclick="submitAnswer()" style="margin-top: 2rem;" data-testid="button-submit-answer">
+            Submit Answer
+        </button>
     `;
+    
+    setTimeout(() => document.getElementById('recall-answer')?.focus(), 50);
+}
 
-    // ensure back button works
-    const back = document.getElementById('btn-back-dict');
-    if (back) back.addEventListener('click', (e) => { e.preventDefault(); navigateTo('dictionary'); });
+const RELATION_FIELDS = { synonym: 'synonyms', antonym: 'antonyms' };
+
+// Distractors come from other words' synonym lists; for antonym questions the
+// word's own synonyms make the most convincing wrong options
+function generateRelationDistractors(word, type, answer) {
+    const taken = new Set([word.english, ...word[RELATION_FIELDS[type]]].map(s => s.toLowerCase()));
+    const seen = new Set([answer.toLowerCase()]);
+    const pick = candidates => candidates.filter(c => {
+        const key = (c || '').trim().toLowerCase();
+        if (!key || taken.has(key) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    const others = shuffle(Object.values(state.words).filter(w => w.id !== word.id));
+    let options = type === 'antonym' ? pick(shuffle(word.synonyms || [])) : [];
+    options = options.concat(pick(others.flatMap(w => w.synonyms || [])));
+    if (options.length < 3) {
+        options = options.concat(pick(others.map(w => w.english)));
+    }
+    return options.slice(0, 3);
 }
 
-function renderHardWords(container) {
-    const hardWords = Object.values(state.words).filter(w => isHardWord(w));
+function renderRelation(question, container) {
+    const { word, type } = question;
+    if (!question.answer) {
+        const candidates = word[RELATION_FIELDS[type]];
+        question.answer = candidates[Math.floor(Math.random() * candidates.length)];
+    }
+    const options = shuffle([question.answer, ...generateRelationDistractors(word, type, question.answer)]);
     
     container.innerHTML = `
-        <div class="page-header">
-            <h1 class="page-title">
-                <i class="fas fa-exclamation-triangle"></i>
-                Hard Words
-            </h1>
-            <p class="page-subtitle">${hardWords.length} words need extra practice</p>
-        </div>
-        
-        ${hardWords.length >= 5 ? `
-            <div style="margin-bottom: 1.5rem;">
-                <button class="btn-primary" onclick="openQuizConfig('hard')">
-                    <i class="fas fa-graduation-cap"></i> Practice Hard Words
-                </button>
-            </div>
-        ` : ''}
-        
-        <div class="card-grid">
-            ${hardWords.length > 0 ? hardWords.map(word => renderWordCard(word)).join('') : `
-                <div class="empty-state">
-                    <i class="fas fa-check-circle"></i>
-                    <h3>No hard words!</h3>
-                    <p>You're doing great! No words are marked as difficult.</p>
+        <div class="question-text">${escapeHtml(word.english)}</div>
+        <p style="color: var(--v-text-secondary); margin-bottom: 2rem;">Select the ${type === 'synonym' ? 'word with the same meaning' : 'word with the opposite meaning'}:</p>
+        <div class="quiz-options">
+            ${options.map(option => `
+                <div class="quiz-option" onclick="selectOption(this)" data-testid="option-${escapeHtml(option)}">
+                    ${escapeHtml(option)}
                 </div>
-            `}
+            `).join('')}
         </div>
+        <button class="btn-primary btn-block" onclick="submitAnswer()" data-testid="button-submit-answer">
+            Submit Answer
+        </button>
     `;
 }
 
-function renderCategories(container) {
-    const categories = getAllCategories();
+// English explanation first; Turkish when that is all the word has
+function getDefinition(word) {
+    if (word.englishExplanation && word.englishExplanation.trim()) {
+        return { text: word.englishExplanation.trim(), lang: 'en' };
+    }
+    const turkish = getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp').trim();
+    return turkish ? { text: turkish, lang: 'tr' } : null;
+}
+
+// Hide the headword (and, in Turkish definitions, its translations) so the definition doesn't give it away
+function maskHeadword(text, word) {
+    const pattern = buildHeadwordPattern(word.english);
+    let masked = pattern ? text.replace(pattern, (_, before) => `${before}_____`) : text;
+    getTranslations(word).forEach(translation => {
+        const re = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(translation)}(?![\\p{L}\\p{N}])`, 'giu');
+        masked = masked.replace(re, (_, before) => `${before}_____`);
+    });
+    return masked;
+}
+
+// Other words' definitions, each masked against its own headword
+function generateDefinitionDistractors(word, definition) {
+    const seen = new Set([definition.text.toLowerCase()]);
+    return shuffle(Object.values(state.words).filter(w => w.id !== word.id))
+        .map(w => ({ word: w, definition: getDefinition(w) }))
+        .filter(({ definition: d }) => {
+            if (!d || d.lang !== definition.lang || seen.has(d.text.toLowerCase())) return false;
+            seen.add(d.text.toLowerCase());
+            return true;
+        })
+        .slice(0, 3)
+        .map(d => maskHeadword(d.definition.text, d.word));
+}
+
+function renderDefinition(question, container) {
+    const { word, type } = question;
+    if (!question.definition) question.definition = getDefinition(word);
+    const definition = question.definition;
+    const byDefinition = type === 'definition';
+
+    const options = byDefinition
+        ? shuffle([word.english, ...generateDistractors(word, 'english', 3, state.words[question.partnerId])])
+        : shuffle([maskHeadword(definition.text, word), ...generateDefinitionDistractors(word, definition)]);
     
     container.innerHTML = `
-        <div class="page-header">
-            <h1 class="page-title">
-                <i class="fas fa-tags"></i>
-                Categories
-            </h1>
-            <p class="page-subtitle">${categories.length} categories</p>
-        </div>
-        
-        <div class="card">
-            <div style="display:flex; gap: .5rem; align-items:center; margin-bottom: 1rem;">
-                <input type="text" id="new-category-input" placeholder="New category name" style="flex:1;" data-testid="input-new-category">
-                <button class="btn-primary" id="btn-add-category">Add Category</button>
-            </div>
-        </div>
-
-        <div class="card-grid">
-            ${categories.map(category => {
-                const words = getWordsByCategory(category);
-                return `
-                    <div class="card category-card" style="cursor: pointer;" data-category="${escapeHtml(category)}">
-                        <div style="display:flex; justify-content:space-between; align-items:center;">
-                            <h3 style="margin:0;"><i class="fas fa-tag"></i> ${escapeHtml(category)}</h3>
-                            <div style="display:flex; gap:.5rem;">
-                                <button class="btn-icon btn-edit-cat" title="Edit" data-category="${escapeHtml(category)}"><i class="fas fa-edit"></i></button>
-                                <button class="btn-icon btn-delete-cat" title="Delete" data-category="${escapeHtml(category)}"><i class="fas fa-trash"></i></button>
-                            </div>
-                        </div>
-                        <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
-                            ${words.length} words
-                        </p>
-                        ${words.length >= 5 ? `
-                            <button class="btn-secondary btn-sm" style="margin-top: 1rem;" onclick="openQuizConfigForCategory('${escapeHtml(category)}'); event.stopPropagation();">
-                                <i class="fas fa-play"></i> Practice
-                            </button>
-                        ` : ''}
-                    </div>
-                `;
-            }).join('')}
-            ${categories.length === 0 ? `
-                <div class="empty-state">
-                    <i class="fas fa-tags"></i>
-                    <h3>No categories yet</h3>
-                    <p>Add categories to your words to organize them.</p>
+        ${byDefinition
+            ? `<div class="question-text definition-text">${escapeHtml(maskHeadword(definition.text, word))}</div>
+               <p style="color: var(--v-text-secondary); margin-bottom: 2rem;">Which word matches this definition?</p>`
+            : `<div class="question-text">${escapeHtml(word.english)}</div>
+               <p style="color: var(--v-text-secondary); margin-bottom: 2rem;">Choose the correct definition:</p>`}
+        <div class="quiz-options">
+            ${options.map((option, i) => `
+                <div class="quiz-option${byDefinition ? '' : ' definition-option'}" onclick="selectOption(this)" data-testid="option-${byDefinition ? escapeHtml(option) : i}">
+                    ${escapeHtml(option)}
                 </div>
-            ` : ''}
+            `).join('')}
         </div>
+        <button class="btn-primary btn-block" onclick="submitAnswer()" data-testid="button-submit-answer">
+            Submit Answer
+        </button>
     `;
-    // Wire add category button
-    const addBtn = document.getElementById('btn-add-category');
-    const input = document.getElementById('new-category-input');
-    if (addBtn && input) {
-        addBtn.addEventListener('click', () => {
-            const name = input.value.trim();
-            if (!name) { showToast('Please provide a category name.', 'warning'); return; }
-            const ok = addCategory(name);
-            if (ok) {
-                input.value = '';
-                renderCategories(container);
-            }
-        });
-
-        input.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                addBtn.click();
-            }
-        });
-    }
+}
 
-    // Attach handlers scoped to this container for reliability
-    const cardEls = container.querySelectorAll('.category-card');
-    cardEls.forEach(card => {
-        const cat = card.getAttribute('data-category');
-        // Click on the card updates the URL so each category has its own hash
-        card.addEventListener('click', () => {
-            const hash = `category:${encodeURIComponent(cat)}`;
-            navigateTo(hash);
-        });
+function renderListening(word, container) {
+    container.innerHTML = `
+        <div class="question-text">Listen and type the word:</div>
+        <button class="btn-primary" onclick="playPronunciation('${word.english}', this)" style="margin: 2rem auto; display: flex; align-items: center; gap: 0.5rem;" data-testid="button-play-audio">
+            <i class="fas fa-volume-up"></i> Play Audio
+        </button>
+        <input type="text" class="quiz-input" id="listening-answer" placeholder="Type what you hear..." data-testid="input-listening-answer">
+        <button class="btn-primary btn-block" onclick="submitAnswer()" style="margin-top: 2rem;">
+            Submit Answer
+        </button>
+    `;
+    
+    // Auto-play once
+    setTimeout(() => playPronunciation(word.english), 500);
+}
 
-        // Edit button inside the card
-        const editBtn = card.querySelector('.btn-edit-cat');
-        if (editBtn) {
-            editBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const name = editBtn.getAttribute('data-category');
-                const newName = prompt('Rename category', name);
-                if (newName && newName.trim()) {
-                    const ok = renameCategory(name, newName.trim());
-                    if (ok) renderCategories(container);
-                }
-            });
-        }
+let selectedAnswer = null;
 
-        // Delete button inside the card
-        const delBtn = card.querySelector('.btn-delete-cat');
-        if (delBtn) {
-            delBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const name = delBtn.getAttribute('data-category');
-                const ok = deleteCategory(name);
-                if (ok) renderCategories(container);
-            });
-        }
+function selectOption(element, correctAnswer) {
+    document.querySelectorAll('.quiz-option').forEach(opt => {
+        opt.classList.remove('selected');
     });
+    element.classList.add('selected');
+    selectedAnswer = element.textContent.trim();
 }
 
-function viewCategory(category) {
-    const words = getWordsByCategory(category);
-    const container = document.getElementById('mainContent');
+function submitAnswer({ timedOut = false } = {}) {
+    // Enter pressed again while the feedback is showing
+    if (getQuestionAnswers(currentQuiz.currentIndex).length > 0) return;
     
-    container.innerHTML = `
-        <div class="page-header">
-            <a href="#categories" id="btn-back-categories" class="btn-secondary" style="margin-bottom: 1rem; display: inline-flex; align-items: center; gap: .5rem;">
-                <i class="fas fa-arrow-left"></i> Back to Categories
-            </a>
-            <h1 class="page-title">
-                <i class="fas fa-tag"></i>
-                ${category}
-            </h1>
-            <p class="page-subtitle">${words.length} words</p>
-        </div>
-        
-        ${words.length >= 5 ? `
-            <div style="margin-bottom: 1.5rem;">
-                <button class="btn-primary" onclick="openQuizConfigForCategory('${category}')">
-                    <i class="fas fa-graduation-cap"></i> Practice This Category
-                </button>
-            </div>
-        ` : ''}
-        
-        <div class="card-grid">
-            ${words.map(word => renderWordCard(word)).join('')}
-        </div>
-    `;
-    // Ensure back button works
-    const backBtn = document.getElementById('btn-back-categories');
-    if (backBtn) {
-        backBtn.addEventListener('click', () => navigateTo('categories'));
+    const question = currentQuiz.questions[currentQuiz.currentIndex];
+    const { word, type } = question;
+    
+    let userAnswer = selectedAnswer;
+    
+    if (timedOut) {
+        // Whatever was typed or picked when the clock ran out doesn't count
+        userAnswer = '';
+    } else if (type === 'writing' && currentQuiz.writingMode === 'typed') {
+        userAnswer = readTypedClozeAnswer();
+    } else if (type === 'writing') {
+        // assemble from slots
+        const slotsEl = document.getElementById('writing-slots');
+        if (slotsEl) {
+            const slotNodes = Array.from(slotsEl.querySelectorAll('.slot'));
+            userAnswer = slotNodes.map(s => s.classList.contains('fixed') ? s.textContent : (s.getAttribute('data-filled') === 'true' ? (s.textContent || '') : '')).join('').trim();
+        } else {
+            userAnswer = document.getElementById('writing-answer')?.value.trim();
+        }
+    } else if (type === 'listening') {
+        userAnswer = document.getElementById('listening-answer')?.value.trim();
+    } else if (type === 'recall' || type === 'recall-reverse') {
+        userAnswer = document.getElementById('recall-answer')?.value.trim();
+    }
+    
+    if (!userAnswer && !timedOut) {
+        showToast('Please provide an answer.', 'warning');
+        return;
+    }
+    stopQuizTimer();
+    
+    let correct = false;
+    let almost = false;
+    let correctAnswer = '';
+    let answerLang = 'en';
+    
+    switch (type) {
+        case 'direct':
+            correctAnswer = word.turkish;
+            correct = matchAnswer(userAnswer, [word.turkish, ...getTranslations(word)], 'tr', { allowAlmost: false }).result === 'correct';
+            break;
+        case 'reverse':
+            correctAnswer = word.english;
+            correct = matchAnswer(userAnswer, correctAnswer, 'en', { allowAlmost: false }).result === 'correct' ||
+                sharesTranslation(userAnswer, word);
+            break;
+        case 'writing': {
+            correctAnswer = getClozeAnswer(question.cloze);
+            const result = checkClozeAnswer(question.cloze, userAnswer);
+            correct = result.correct;
+            almost = result.almost;
+            break;
+        }
+        case 'listening': {
+            // Typing the word heard or any of its meanings shows it was understood
+            correctAnswer = word.english;
+            const match = matchAnswer(userAnswer, correctAnswer, 'en');
+            const meaning = matchAnswer(userAnswer, getTranslations(word), 'tr');
+            const best = match.result === 'correct' || meaning.result !== 'correct' && match.distance <= meaning.distance ? match : meaning;
+            correct = best.result === 'correct';
+            almost = best.result === 'almost';
+            if (best === meaning) {
+                correctAnswer = meaning.matched;
+                answerLang = 'tr';
+            }
+            break;
+        }
+        case 'recall': {
+            const match = matchAnswer(userAnswer, getTranslations(word), 'tr');
+            correctAnswer = match.result === 'wrong' ? word.turkish : match.matched;
+            answerLang = 'tr';
+            correct = match.result === 'correct';
+            almost = match.result === 'almost';
+            break;
+        }
+        case 'definition':
+            correctAnswer = word.english;
+            correct = matchAnswer(userAnswer, correctAnswer, 'en', { allowAlmost: false }).result === 'correct';
+            break;
+        case 'choose-definition':
+            correctAnswer = maskHeadword(question.definition.text, word);
+            correct = userAnswer.replace(/\s+/g, ' ') === correctAnswer.replace(/\s+/g, ' ');
+            break;
+        case 'synonym':
+        case 'antonym':
+            correctAnswer = question.answer;
+            correct = matchAnswer(userAnswer, word[RELATION_FIELDS[type]], 'en', { allowAlmost: false }).result === 'correct';
+            break;
+        case 'recall-reverse': {
+            correctAnswer = word.english;
+            const match = matchAnswer(userAnswer, correctAnswer, 'en');
+            correct = match.result === 'correct' || sharesTranslation(userAnswer, word);
+            almost = !correct && match.result === 'almost';
+            break;
+        }
+    }
+    
+    if (timedOut) {
+        correct = false;
+        almost = false;
+    }
+    
+    const confusedWithId = correct || almost ? null : findConfusedWord(word, type, userAnswer);
+    
+    currentQuiz.answers.push({
+        wordId: word.id,
+        type,
+        userAnswer,
+        correctAnswer,
+        correct,
+        ...(almost ? { almost: true } : {}),
+        confusedWithId,
+        ...(timedOut ? { timedOut: true } : {}),
+        ...(currentQuiz.drill || question.requeued ? { relearning: true } : {}),
+        responseTimeMs: getResponseTime(),
+        grade: null,
+        questionIndex: currentQuiz.currentIndex
+    });
+    
+    showFeedback(correct, word, correctAnswer, almost ? userAnswer : null, answerLang);
+    if (timedOut) {
+        document.querySelector('.quiz-feedback .feedback-title').textContent = "Time's up";
     }
+    selectedAnswer = null;
+    persistActiveQuiz();
 }
 
-function addCategory(name) {
-    if (!name || !name.trim()) return false;
-    const n = name.trim();
-    if (!Array.isArray(state.categories)) state.categories = [];
-    if (state.categories.includes(n)) return false; // already exists
-    state.categories.push(n);
-    saveState();
-    showToast(`Category "${n}" added.`, 'success');
-    return true;
+const GRADE_LABELS = { again: 'Again', hard: 'Hard', good: 'Good', easy: 'Easy' };
+
+// Interval the scheduler would give for a grade, without touching the word
+function previewInterval(word, grade) {
+    const stats = { ...word.stats };
+    ensureSrsStats({ stats });
+    return scheduleReview(stats, grade).interval;
 }
 
-function renameCategory(oldName, newName) {
-    if (!oldName || !newName) return false;
-    const o = oldName.trim();
-    const n = newName.trim();
-    if (o === n) return false;
-    if (!Array.isArray(state.categories)) state.categories = [];
-    if (state.categories.includes(n)) {
-        showToast('Category with that name already exists.', 'warning');
-        return false;
-    }
+function formatInterval(days) {
+    if (days < 30) return `${days}d`;
+    if (days < 365) return `${Math.round(days / 30)}mo`;
+    return `${(days / 365).toFixed(1)}y`;
+}
 
-    // Replace in top-level categories
-    state.categories = state.categories.map(c => c === o ? n : c);
+function showFeedback(correct, word, correctAnswer, almostAnswer = null, answerLang = 'en') {
+    const feedbackDiv = document.createElement('div');
+    feedbackDiv.className = 'quiz-feedback';
+    const iconClass = almostAnswer ? 'almost' : (correct ? 'correct' : 'wrong');
+    const icon = almostAnswer ? 'exclamation-circle' : (correct ? 'check-circle' : 'times-circle');
+    feedbackDiv.innerHTML = `
+        <div class="feedback-content">
+            <div class="feedback-icon ${iconClass}">
+                <i class="fas fa-${icon}"></i>
+            </div>
+            <div class="feedback-title">${almostAnswer ? 'Almost!' : (correct ? 'Correct!' : 'Incorrect')}</div>
+            ${almostAnswer ? `
+                <div class="answer-diff" data-testid="text-answer-diff">${renderAnswerDiff(almostAnswer, correctAnswer, answerLang)}</div>
+                <div class="almost-actions">
+                    <button class="btn-primary btn-sm" onclick="acceptAlmostAnswer()" data-testid="button-accept-almost">
+                        <i class="fas fa-check"></i> Count as Correct
+                    </button>
+                    <button class="btn-secondary btn-sm" onclick="gradeAnswer('again')" data-testid="button-reject-almost">
+                        <i class="fas fa-times"></i> Count as Wrong
+                    </button>
+                </div>
+            ` : ''}
+            <div class="feedback-answer">
+                <strong>${word.english}</strong>
+                ${word.pronunciation ? `<div class="font-mono" style="margin-top: 0.5rem;">${word.pronunciation}</div>` : ''}
+                <div style="margin-top: 0.5rem; font-style: italic;">${word.turkish}</div>
+                ${word.englishExplanation ? `<div style="margin-top: 0.75rem; font-size: 0.9rem; color: var(--v-text-secondary);">${word.englishExplanation}</div>` : ''}
+            </div>
+            <button class="btn-secondary" onclick="playPronunciation('${word.english}', this)">
+                <i class="fas fa-volume-up"></i> Hear Pronunciation
+            </button>
+            <p class="grade-hint" style="margin-top: 1.5rem; color: var(--v-text-secondary); font-size: 0.9rem;">
+                ${correct ? 'How well did you know it?' : (almostAnswer ? 'Small typo? Count it as correct to grade it.' : 'This word will come back soon.')}
+            </p>
+            <div class="grade-row" data-testid="grade-row">
+                ${SRS_GRADES.map((grade, i) => {
+                    const disabled = !correct && grade !== 'again';
+                    return `
+                        <button class="grade-btn grade-${grade}" onclick="gradeAnswer('${grade}')" ${disabled ? 'disabled' : ''} data-grade="${grade}" data-testid="button-grade-${grade}">
+                            <span class="grade-label">${GRADE_LABELS[grade]}</span>
+                            <span class="grade-interval">${formatInterval(previewInterval(word, grade))} · ${i + 1}</span>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(feedbackDiv);
+    // Take focus off the answer field so the 1-4 grade keys work
+    document.activeElement?.blur();
+    
+    // Play pronunciation automatically
+    setTimeout(() => playPronunciation(word.english), 300);
+}
 
-    // Replace in words
-    Object.values(state.words).forEach(w => {
-        if (Array.isArray(w.categories)) {
-            w.categories = w.categories.map(c => c === o ? n : c);
-        }
-    });
+// Record the learner's self-assessment for the last answer and move on
+function gradeAnswer(grade) {
+    const answer = currentQuiz?.answers[currentQuiz.answers.length - 1];
+    if (!answer || answer.grade) return;
+    if (!answer.correct && grade !== 'again') return;
 
-    saveState();
-    showToast(`Category "${n}" renamed.`, 'success');
-    return true;
+    answer.grade = grade;
+    applyAnswerGrade(answer);
+    nextQuestion();
 }
 
-function deleteCategory(name) {
-    if (!name) return false;
-    const n = name.trim();
-    if (!confirm(`Delete category "${n}"? This will remove it from any words.`)) return false;
+function applyAnswerGrade(answer) {
+    const word = state.words[answer.wordId];
+    // Drill answers only confirm misses that were already scheduled
+    if (!word || currentQuiz?.drill) return;
+    if (isLearningWord(word)) {
+        advanceLearningStep(word, answer);
+    } else if (!answer.relearning) {
+        updateWordStats(word.id, answer.grade, getResponseSpeed(answer));
+    }
+}
 
-    // Remove from top-level
-    state.categories = (state.categories || []).filter(c => c !== n);
+// In reverse questions another English word with the same meaning is also right
+function sharesTranslation(english, word) {
+    const translations = getTranslations(word).map(t => t.toLocaleLowerCase('tr-TR'));
+    return Object.values(state.words).some(other => other.id !== word.id &&
+        other.english.toLowerCase() === english.trim().toLowerCase() &&
+        getTranslations(other).some(t => translations.includes(t.toLocaleLowerCase('tr-TR'))));
+}
 
-    // Remove from words
-    Object.values(state.words).forEach(w => {
-        if (Array.isArray(w.categories)) {
-            w.categories = w.categories.filter(c => c !== n);
-        }
-    });
+// A near miss the learner chose to count: unlock the passing grades
+function acceptAlmostAnswer() {
+    const answer = currentQuiz?.answers[currentQuiz.answers.length - 1];
+    if (!answer || answer.grade || !answer.almost) return;
+    answer.correct = true;
+
+    const feedback = document.querySelector('.quiz-feedback');
+    if (!feedback) return;
+    feedback.querySelector('.feedback-icon').className = 'feedback-icon correct';
+    feedback.querySelector('.feedback-icon i').className = 'fas fa-check-circle';
+    feedback.querySelector('.feedback-title').textContent = 'Counted as correct';
+    feedback.querySelector('.grade-hint').textContent = 'How well did you know it?';
+    feedback.querySelector('.almost-actions')?.remove();
+    feedback.querySelectorAll('.grade-btn').forEach(btn => { btn.disabled = false; });
+}
 
-    saveState();
-    showToast(`Category "${n}" deleted.`, 'success');
-    return true;
+// Apply the default grade when the learner leaves the feedback without choosing one
+function finalizePendingGrade() {
+    const answer = currentQuiz?.answers[currentQuiz.answers.length - 1];
+    if (!answer || answer.grade) return;
+    answer.grade = answer.correct ? 'good' : 'again';
+    applyAnswerGrade(answer);
 }
 
-function renderNotes(container) {
-    openNotesDrawer();
-    container.innerHTML = `
-        <div class="page-header">
-            <h1 class="page-title">
-                <i class="fas fa-sticky-note"></i>
-                Notes
-            </h1>
-            <p class="page-subtitle">Your personal learning notes</p>
-        </div>
-        
-        <div class="card">
-            <p>Notes are available in the bottom drawer. Click the notes icon or use the drawer below.</p>
-            <button class="btn-primary" onclick="openNotesDrawer()">
-                <i class="fas fa-sticky-note"></i> Open Notes Drawer
-            </button>
-        </div>
-    `;
+function nextQuestion() {
+    document.querySelector('.quiz-feedback')?.remove();
+    finalizePendingGrade();
+    requeueAnsweredQuestion();
+    
+    currentQuiz.currentIndex++;
+    
+    if (currentQuiz.currentIndex >= currentQuiz.questions.length || isQuizTimeUp()) {
+        stopQuizTimer();
+        showQuizSummary();
+    } else {
+        renderQuiz(document.getElementById('mainContent'));
+    }
 }
 
-function renderStatistics(container) {
-    const words = Object.values(state.words);
-    const levelDistribution = {};
-    const categoryDistribution = {};
+function showQuizSummary() {
+    if (currentQuiz.drill) {
+        showDrillSummary();
+        return;
+    }
     
-    words.forEach(word => {
-        levelDistribution[word.level] = (levelDistribution[word.level] || 0) + 1;
-        word.categories.forEach(cat => {
-            categoryDistribution[cat] = (categoryDistribution[cat] || 0) + 1;
-        });
+    // Repeated cards are practice, only first answers are scored
+    const scored = currentQuiz.answers.filter(a => !a.relearning);
+    const correctCount = scored.filter(a => a.correct).length;
+    const total = scored.length;
+    const score = total ? Math.round((correctCount / total) * 100) : 0;
+    const averageResponseTime = getAverageResponseTime(currentQuiz.answers);
+    
+    // Save to history
+    state.history.push({
+        quizId: currentQuiz.id,
+        date: new Date().toISOString(),
+        score: correctCount,
+        total: total,
+        details: currentQuiz.answers
+    });
+    state.activeQuiz = null;
+    
+    // Update streak
+    updateStreak();
+    
+    saveState();
+    
+    // Group by word
+    const wordResults = {};
+    scored.forEach(answer => {
+        if (!wordResults[answer.wordId]) {
+            wordResults[answer.wordId] = { correct: 0, total: 0 };
+        }
+        wordResults[answer.wordId].total++;
+        if (answer.correct) {
+            wordResults[answer.wordId].correct++;
+        }
     });
     
+    const container = document.getElementById('mainContent');
     container.innerHTML = `
-        <div class="page-header">
-            <h1 class="page-title">
-                <i class="fas fa-chart-bar"></i>
-                Statistics
-            </h1>
-            <p class="page-subtitle">Your learning progress and insights</p>
-        </div>
-        
-        <div class="stats-grid">
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--v-primary);">${state.appStats.totalAdded}</div>
-                <div class="stat-label">Total Words</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--v-success);">${state.appStats.totalLearned}</div>
-                <div class="stat-label">Learned</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--v-warning);">${state.appStats.favoritesCount}</div>
-                <div class="stat-label">Favorites</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--v-danger);">${state.appStats.hardCount}</div>
-                <div class="stat-label">Hard Words</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--v-primary);">${state.appStats.streak.current} 🔥</div>
-                <div class="stat-label">Current Streak</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--v-primary);">${state.appStats.streak.best} 🏆</div>
-                <div class="stat-label">Best Streak</div>
+        <div class="quiz-summary">
+            <h1 style="margin-bottom: 1rem;">Quiz Complete!</h1>
+            <div class="summary-score">${correctCount}/${total}</div>
+            <div style="font-size: 1.25rem; color: var(--v-text-secondary); margin-bottom: 2rem;">
+                ${score}% Correct
             </div>
-        </div>
-        
-        <div class="chart-container">
-            <h3 class="chart-title">Level Distribution</h3>
-            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(100px, 1fr)); gap: 1rem;">
-                ${Object.entries(levelDistribution).map(([level, count]) => `
-                    <div style="text-align: center; padding: 1rem; background: var(--v-bg-tertiary); border-radius: var(--v-radius-md);">
-                        <div style="font-size: 2rem; font-weight: 700; color: var(--v-level-${level.toLowerCase()});">${count}</div>
-                        <div style="font-size: 0.85rem; color: var(--v-text-secondary); margin-top: 0.25rem;">${level}</div>
+            
+            <div class="summary-details">
+                <div class="summary-stat">
+                    <div class="summary-stat-value" style="color: var(--v-success);">${correctCount}</div>
+                    <div class="summary-stat-label">Correct</div>
+                </div>
+                <div class="summary-stat">
+                    <div class="summary-stat-value" style="color: var(--v-danger);">${total - correctCount}</div>
+                    <div class="summary-stat-label">Wrong</div>
+                </div>
+                ${averageResponseTime !== null ? `
+                    <div class="summary-stat">
+                        <div class="summary-stat-value" data-testid="text-average-response-time">${formatResponseTime(averageResponseTime)}</div>
+                        <div class="summary-stat-label">Avg. Answer Time</div>
                     </div>
-                `).join('')}
+                ` : ''}
+                <div class="summary-stat">
+                    <div class="summary-stat-value" style="color: var(--v-primary);">${state.appStats.streak.current} 🔥</div>
+                    <div class="summary-stat-label">Streak</div>
+                </div>
             </div>
-        </div>
-        
-        ${Object.keys(categoryDistribution).length > 0 ? `
-            <div class="chart-container">
-                <h3 class="chart-title">Category Distribution</h3>
-                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 1rem;">
-                    ${Object.entries(categoryDistribution)
-                        .sort((a, b) => b[1] - a[1])
-                        .slice(0, 10)
-                        .map(([cat, count]) => `
-                        <div style="padding: 1rem; background: var(--v-bg-tertiary); border-radius: var(--v-radius-md);">
-                            <div style="font-size: 1.5rem; font-weight: 700;">${count}</div>
-                            <div style="font-size: 0.85rem; color: var(--v-text-secondary); margin-top: 0.25rem;">${cat}</div>
+            
+            <div class="word-breakdown">
+                <h3>Mark Words as Learned</h3>
+                <p style="color: var(--v-text-secondary); margin-bottom: 1rem;">
+                    Select words you feel confident about:
+                </p>
+                ${Object.entries(wordResults).map(([wordId, result]) => {
+                    const word = state.words[wordId];
+                    if (!word) return '';
+                    return `
+                        <div class="breakdown-item">
+                            <label>
+                                <input type="checkbox" ${word.stats.learned ? 'checked' : ''} 
+                                    onchange="toggleLearned('${wordId}')" data-testid="checkbox-learned-${wordId}">
+                                <span>
+                                    <strong>${word.english}</strong> - ${word.turkish}
+                                    <span style="margin-left: 0.5rem; color: var(--v-text-tertiary);">
+                                        (${result.correct}/${result.total})
+                                    </span>
+                                </span>
+                            </label>
+                            ${result.correct < result.total ? 
+                                `<span class="badge" style="background: var(--v-danger); color: white;">Review</span>` 
+                            : ''}
                         </div>
-                    `).join('')}
-                </div>
+                    `;
+                }).join('')}
             </div>
-        ` : ''}
-        
-        <div class="chart-container">
-            <h3 class="chart-title">Quiz History (Last 10)</h3>
-            ${state.history.length > 0 ? `
-                <div style="overflow-x: auto;">
-                    <table>
-                        <thead>
-                            <tr>
-                                <th>Date</th>
-                                <th>Score</th>
-                                <th>Words</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${state.history.slice(-10).reverse().map(quiz => `
-                                <tr>
-                                    <td>${formatDate(quiz.date)}</td>
-                                    <td>${quiz.score}/20</td>
-                                    <td>${quiz.details?.length || 0}</td>
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>
-            ` : '<p style="color: var(--v-text-secondary);">No quiz history yet.</p>'}
-        </div>
-        
-        <div style="margin-top: 2rem;">
-            <button class="btn-primary" onclick="generatePDFReport()" data-testid="button-generate-pdf">
-                <i class="fas fa-file-pdf"></i> Generate PDF Report
-            </button>
-        </div>
-    `;
-}
-
-function renderImportExport(container) {
-    container.innerHTML = `
-        <div class="page-header">
-            <h1 class="page-title">
-                <i class="fas fa-exchange-alt"></i>
-                Import / Export
-            </h1>
-            <p class="page-subtitle">Backup and restore your vocabulary data</p>
-        </div>
-        
-        <div class="card">
-            <h3><i class="fas fa-download"></i> Export Data</h3>
-            <p style="color: var(--v-text-secondary); margin: 1rem 0;">
-                Download all your words, statistics, and settings as a JSON backup file.
-            </p>
-            <button class="btn-primary" onclick="exportData()" data-testid="button-export">
-                <i class="fas fa-download"></i> Export Backup
-            </button>
-        </div>
-        
-        <div class="card" style="margin-top: 1.5rem;">
-            <h3><i class="fas fa-upload"></i> Import Data</h3>
-            <p style="color: var(--v-text-secondary); margin: 1rem 0;">
-                Restore from a backup file. Choose merge to keep existing data or replace to start fresh.
-            </p>
-            <input type="file" id="import-file" accept=".json" style="display: none;" data-testid="input-import-file">
-            <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
-                <button class="btn-secondary" onclick="document.getElementById('import-file').click()" data-testid="button-choose-file">
-                    <i class="fas fa-file"></i> Choose File
+            
+            <div style="display: flex; gap: 1rem; margin-top: 2rem; flex-wrap: wrap; justify-content: center;">
+                <button class="btn-secondary" onclick="exportQuizPDF()" data-testid="button-export-quiz-pdf">
+                    <i class="fas fa-file-pdf"></i> Export as PDF
                 </button>
-                <button class="btn-primary" onclick="handleImport('merge')" data-testid="button-import-merge">
-                    <i class="fas fa-layer-group"></i> Merge
+                <button class="btn-primary" onclick="startQuiz()" data-testid="button-retake-quiz">
+                    <i class="fas fa-redo"></i> Take Another Quiz
                 </button>
-                <button class="btn-destructive" onclick="handleImport('replace')" data-testid="button-import-replace">
-                    <i class="fas fa-sync"></i> Replace All
+                <button class="btn-primary" onclick="retakeSameQuiz()" data-testid="button-retake-same">
+                    <i class="fas fa-redo-alt"></i> Retake Same Quiz
+                </button>
+                ${getMissedPairs(currentQuiz.answers).length > 0 ? `
+                    <button class="btn-primary" onclick="startMistakeDrill()" data-testid="button-drill-mistakes">
+                        <i class="fas fa-dumbbell"></i> Drill Mistakes (${getMissedPairs(currentQuiz.answers).length})
+                    </button>
+                ` : ''}
+                <button class="btn-primary" onclick="currentQuiz = null; navigateTo('dashboard')" data-testid="button-back-dashboard">
+                    <i class="fas fa-home"></i> Back to Dashboard
                 </button>
             </div>
-            <p id="import-filename" style="margin-top: 0.5rem; font-size: 0.85rem; color: var(--v-text-tertiary);"></p>
-        </div>
-        
-        <div class="card" style="margin-top: 1.5rem; border-color: var(--v-danger);">
-            <h3 style="color: var(--v-danger);"><i class="fas fa-exclamation-triangle"></i> Danger Zone</h3>
-            <p style="color: var(--v-text-secondary); margin: 1rem 0;">
-                Clear all data from the application. This action cannot be undone!
-            </p>
-            <button class="btn-destructive" onclick="confirmClearAll()" data-testid="button-clear-all-data">
-                <i class="fas fa-trash"></i> Clear All Data
-            </button>
         </div>
     `;
-    
-    // Setup file input handler
-    document.getElementById('import-file').addEventListener('change', function(e) {
-        const file = e.target.files[0];
-        if (file) {
-            document.getElementById('import-filename').textContent = `Selected: ${file.name}`;
-        }
-    });
 }
 
-// ==================== QUIZ FUNCTIONS ====================
-function openQuizConfig(source) {
-    document.getElementById('quiz-config-modal').classList.add('active');
-    document.getElementById('quiz-source').value = source;
-    
-    if (source === 'category') {
-        document.getElementById('category-selector').style.display = 'block';
-        document.getElementById('quiz-custom-group').style.display = 'none';
-        document.getElementById('quiz-word-count-group').style.display = 'block';
-        const select = document.getElementById('quiz-category');
-        select.innerHTML = getAllCategories().map(cat => 
-            `<option value="${cat}">${cat}</option>`
-        ).join('');
-    } else if (source === 'custom') {
-        document.getElementById('category-selector').style.display = 'none';
-        document.getElementById('quiz-custom-group').style.display = 'block';
-        document.getElementById('quiz-word-count-group').style.display = 'none';
-        populateWordSelectionList();
-    } else {
-        document.getElementById('category-selector').style.display = 'none';
-        document.getElementById('quiz-custom-group').style.display = 'none';
-        document.getElementById('quiz-word-count-group').style.display = 'block';
+function retakeSameQuiz() {
+    if (!currentQuiz || !currentQuiz.questions || currentQuiz.questions.length === 0) {
+        showToast('No quiz to retake.', 'warning');
+        return;
     }
+
+    // Reset progress but keep same questions and order; a new id keeps history entries distinct
+    currentQuiz.id = generateUUID();
+    currentQuiz.currentIndex = 0;
+    currentQuiz.answers = [];
+    currentQuiz.startTime = new Date().toISOString();
+    currentQuiz.questions.forEach(q => { delete q.cloze; });
+
+    // Remove any feedback overlays
+    document.querySelectorAll('.quiz-feedback').forEach(el => el.remove());
+
+    // Clear any selected answer state
+    selectedAnswer = null;
+
+    // Render the quiz view again
+    navigateTo('quiz');
+    renderQuiz(document.getElementById('mainContent'));
 }
 
-function openQuizConfigForCategory(category) {
-    document.getElementById('quiz-config-modal').classList.add('active');
-    document.getElementById('quiz-source').value = 'category';
-    document.getElementById('category-selector').style.display = 'block';
-    const select = document.getElementById('quiz-category');
-    select.innerHTML = getAllCategories().map(cat => 
-        `<option value="${cat}" ${cat === category ? 'selected' : ''}>${cat}</option>`
-    ).join('');
+function toggleLearned(wordId) {
+    if (state.words[wordId]) {
+        state.words[wordId].stats.learned = !state.words[wordId].stats.learned;
+        updateStats();
+        debouncedSaveState();
+    }
 }
 
-function populateWordSelectionList(searchQuery = '') {
-    const container = document.querySelector('.word-selection-list');
-    const allWords = Object.values(state.words);
-    const filteredWords = searchQuery ? 
-        allWords.filter(w => 
-            w.english.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            w.turkish.toLowerCase().includes(searchQuery.toLowerCase()) ||
-            w.categories.some(c => c.toLowerCase().includes(searchQuery.toLowerCase()))
-        ) : allWords;
+function updateStreak() {
+    const today = new Date().toDateString();
+    const lastActive = state.appStats.streak.lastActive 
+        ? new Date(state.appStats.streak.lastActive).toDateString() 
+        : null;
+    
+    if (lastActive === today) {
+        // Already completed today
+        return;
+    }
+    
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const yesterdayStr = yesterday.toDateString();
+    
+    if (lastActive === yesterdayStr) {
+        // Continuing streak
+        state.appStats.streak.current++;
+    } else if (!lastActive || lastActive !== yesterdayStr) {
+        // New streak or broken streak
+        state.appStats.streak.current = 1;
+    }
+    
+    state.appStats.streak.lastActive = new Date().toISOString();
+    state.appStats.streak.best = Math.max(
+        state.appStats.streak.best,
+        state.appStats.streak.current
+    );
+    
+    updateStats();
+}
 
-    container.innerHTML = filteredWords.map(word => `
-        <div class="word-selection-item" data-word-id="${word.id}" style="padding: 8px; display: flex; align-items: center; gap: 8px; cursor: pointer; border-bottom: 1px solid var(--v-border-color); user-select: none;">
-            <input type="checkbox" style="margin: 0;">
-            <div>
-                <div style="font-weight: 500;">${escapeHtml(word.english)}</div>
-                <div style="color: var(--v-text-secondary); font-size: 0.9em;">
-                    ${escapeHtml(word.turkish)}
-                    ${word.categories.length ? 
-                        `<span style="opacity: 0.7"> • ${word.categories.join(', ')}</span>` 
-                        : ''}
-                </div>
-            </div>
-        </div>
-    `).join('');
+const PARTS_OF_SPEECH = ['noun', 'verb', 'adjective', 'adverb', 'phrase', 'preposition', 'conjunction', 'pronoun', 'interjection'];
+
+// Best guess for words saved without a part of speech
+function inferPartOfSpeech(word) {
+    const english = (word.english || '').trim().toLowerCase();
+    const turkish = getTranslations(word)[0] || '';
+    if (/m[ae]k$/.test(turkish.toLocaleLowerCase('tr-TR')) || english.startsWith('to ')) return 'verb';
+    if (/\s/.test(english)) return 'phrase';
+    if (/(tion|sion|ment|ness|ity|ism|ance|ence|ship|hood|er|or|ist)$/.test(english)) return 'noun';
+    if (/(ous|ful|ive|able|ible|ic|less|ish|ary|al)$/.test(english)) return 'adjective';
+    if (/ly$/.test(english)) return 'adverb';
+    if (/(ize|ise|ify|ate|en)$/.test(english)) return 'verb';
+    return '';
+}
 
-    updateSelectedWordsCount();
+function getPartOfSpeech(word) {
+    return word.partOfSpeech || inferPartOfSpeech(word);
+}
 
-    // Add click handlers
-    container.querySelectorAll('.word-selection-item').forEach(item => {
-        item.addEventListener('click', (e) => {
-            if (e.target.type === 'checkbox') return; // Don't handle checkbox clicks
-            const checkbox = item.querySelector('input[type="checkbox"]');
-            checkbox.checked = !checkbox.checked;
-            updateSelectedWordsCount();
+function distractorKey(value) {
+    return String(value || '').trim().toLocaleLowerCase('tr-TR');
+}
+
+// Wrong answers the learner has picked for this word before and the words it
+// has been confused with, most frequent first
+function getConfusedAnswers(word, field, matrix) {
+    const type = field === 'turkish' ? 'direct' : 'reverse';
+    const counts = {};
+    state.history.forEach(entry => {
+        (entry.details || []).forEach(answer => {
+            if (answer.wordId !== word.id || answer.correct || answer.type !== type || !answer.userAnswer) return;
+            counts[answer.userAnswer] = (counts[answer.userAnswer] || 0) + 1;
         });
-        
-        const checkbox = item.querySelector('input[type="checkbox"]');
-        checkbox.addEventListener('change', updateSelectedWordsCount);
     });
+    // Words it was mixed up with in any direction drill the pair against each other
+    getConfusionPartners(word.id, matrix).forEach(({ word: partner, count }) => {
+        if (partner[field]) counts[partner[field]] = (counts[partner[field]] || 0) + count;
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([value]) => value);
 }
 
-function updateSelectedWordsCount() {
-    const count = document.querySelectorAll('.word-selection-item input[type="checkbox"]:checked').length;
-    document.getElementById('selected-words-count').textContent = count;
+function scoreDistractor(word, other, field, pos) {
+    const a = distractorKey(word[field]);
+    const b = distractorKey(other[field]);
+    const longest = Math.max(a.length, b.length) || 1;
+    let score = 0;
+
+    if ((other.categories || []).some(c => (word.categories || []).includes(c))) score += 3;
+    if (other.level === word.level) score += 2;
+    if (pos && getPartOfSpeech(other) === pos) score += 3;
+    score += 3 * (1 - editDistance(a, b) / longest);
+    score += 1 - Math.abs(a.length - b.length) / longest;
+    return score + Math.random();
 }
 
-// --- ChatGPT prompt helpers ---
-function generateChatGPTPrompt(word) {
-        return `I will give you a single English word: "${word}".
-Please reply ONLY with a single JSON object that strictly follows the schema below. Do not include any extra commentary, explanation, or text — only JSON.
+// Unique, non-empty options that are not (another accepted form of) the answer.
+// Prefers look-alike words and answers the learner has confused before; a
+// given partner word is always offered.
+function generateDistractors(word, field, count = 3, partner = null) {
+    const translations = getTranslations(word).map(distractorKey);
+    const excluded = new Set([distractorKey(word[field]), ...(field === 'turkish' ? translations : [])]);
+    const options = [];
+    const take = value => {
+        const key = distractorKey(value);
+        if (!key || excluded.has(key) || options.length >= count) return;
+        excluded.add(key);
+        options.push(value.trim());
+    };
 
-Schema:
-{
-    "english": string,                    // the headword
-    "turkish": string,                    // short Turkish translation
-    "pronunciation": string|null,         // IPA or readable pron
-    "partOfSpeech": string|null,          // noun / verb / adj / adv / phrase etc.
-    "level": string|null,                 // CEFR level (A1..C2) just say level no extra infomation
-    "frequencyNote": string|null,         // common / uncommon / rare or frequency note
-    "synonyms": [string],
-    "antonyms": [string],
-    "collocations": [string],             // common collocations (e.g. "make a decision")
-    "englishExplanation": string|null,    // clear English definition
-    "turkishExplanation": string|null,    // clear Turkish definition
-    "notes": string|null,                 // short usage notes, pitfalls, register
-    "examples": [                         // provide AT LEAST 4 examples
-        {"english": string, "turkish": string, "context": string|null, "register": string|null}
-    ]
-}
+    // Words sharing a meaning with the answer would also be graded correct
+    const others = Object.values(state.words).filter(w => w.id !== word.id && w[field] &&
+        !getTranslations(w).some(t => translations.includes(distractorKey(t))));
+    const available = new Map(others.map(w => [distractorKey(w[field]), w[field]]));
+
+    if (partner && others.includes(partner)) take(partner[field]);
 
-Requirements:
-- Provide at least 4 example sentences. Among them include: one formal (e.g., email/report), one informal (casual conversation), one academic/business, and one common everyday usage.
-- For each example include an optional "context" (e.g., "email", "casual chat", "news article") and "register" (e.g., "formal", "informal").
-- Keep array items as arrays and strings as strings. Use null for empty optional fields.
-- DO NOT output anything except the JSON object (no markdown, no explanation).
+    getConfusedAnswers(word, field, getConfusionMatrix())
+        .filter(value => available.has(distractorKey(value)))
+        .slice(0, 2)
+        .forEach(take);
 
-Word: ${word}`;
+    const pos = getPartOfSpeech(word);
+    const ranked = others
+        .map(w => ({ value: w[field], score: scoreDistractor(word, w, field, pos) }))
+        .sort((a, b) => b.score - a.score);
+    // Draw from the strongest candidates so the same options don't repeat every time
+    shuffle(ranked.slice(0, Math.max(count * 2, 6))).forEach(c => take(c.value));
+    ranked.forEach(c => take(c.value));
+
+    return options;
 }
 
-function showAIPromptModal(prompt) {
-    const modal = document.getElementById('ai-prompt-modal');
-    const ta = document.getElementById('ai-prompt-text');
-    if (!modal || !ta) return;
-    ta.value = prompt;
-    modal.style.display = 'flex';
-    modal.classList.add('active');
+// Fisher-Yates
+function shuffle(array) {
+    const result = [...array];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
 }
 
-function hideAIPromptModal() {
-    const modal = document.getElementById('ai-prompt-modal');
-    if (!modal) return;
-    modal.style.display = 'none';
-    modal.classList.remove('active');
+// ==================== SESSION QUEUE ====================
+// The question list grows while the quiz runs: a card answered wrong comes
+// back a few questions later (answers to it are `relearning` and don't count
+// in scores), and new words go through short learning steps inside the
+// session before the scheduler takes over.
+const SESSION_REQUEUE_GAP = 3;
+// Questions before a learning word comes back, one entry per step; a correct
+// answer after the last step graduates the word
+const LEARNING_STEPS = [4];
+
+function isLearningWord(word) {
+    return typeof word.stats.learningStep === 'number' || word.stats.timesTested === 0;
 }
 
-function copyPromptToClipboard(prompt) {
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-        return navigator.clipboard.writeText(prompt);
+// Every learning answer counts towards the word's stats; only graduation schedules it
+function advanceLearningStep(word, answer) {
+    recordAnswerCounters(word, answer.grade, getResponseSpeed(answer));
+    const step = word.stats.learningStep || 0;
+    if (answer.grade === 'again') {
+        word.stats.learningStep = 0;
+    } else if (answer.grade === 'easy' || step >= LEARNING_STEPS.length) {
+        word.stats.learningStep = null;
+        scheduleWord(word, answer.grade);
+    } else {
+        word.stats.learningStep = step + 1;
     }
-    return Promise.reject(new Error('Clipboard API not available'));
+    updateStats();
+    debouncedSaveState();
 }
 
-function copyPromptAndOpenChatGPT(prompt) {
-    // Show the modal with prompt so user always has visible fallback
-    showAIPromptModal(prompt);
+function hasPendingQuestion(wordId) {
+    return currentQuiz.questions.slice(currentQuiz.currentIndex + 1).some(q =>
+        q.type === 'matching' ? q.words.some(w => w.id === wordId) : q.word?.id === wordId);
+}
 
-    // Try to copy silently; if succeeds, open ChatGPT automatically
-    copyPromptToClipboard(prompt).then(() => {
-        showToast('Prompt panoya kopyalandı. ChatGPT açılıyor — yapıştırıp gönderin.', 'success');
-        // attempt to open ChatGPT
-        try { window.open('https://chat.openai.com/chat', '_blank'); } catch (e) { /* ignore */ }
-    }).catch(() => {
-        // If copy fails, user can copy from modal
-        showToast('Prompt panoya kopyalanamadı. Lütfen elle kopyalayın veya "Kopyala" butonunu kullanın.', 'warning');
-    });
+function insertIntoQueue(question, gap) {
+    const position = Math.min(currentQuiz.currentIndex + 1 + gap, currentQuiz.questions.length);
+    currentQuiz.questions.splice(position, 0, question);
 }
 
-function applyChatGPTJson(rawText, prefix = 'f-') {
-    if (!rawText || !rawText.trim()) {
-        showToast('Lütfen ChatGPT tarafından üretilen JSON metnini yapıştırın.', 'warning');
+// A card fails when it was answered wrong or the learner graded it Again
+function isFailedAnswer(answer) {
+    return !answer.correct || answer.grade === 'again';
+}
+
+function requeueAnsweredQuestion() {
+    const index = currentQuiz.currentIndex;
+    const question = currentQuiz.questions[index];
+    const answers = getQuestionAnswers(index);
+    if (!question || answers.length === 0) return;
+
+    if (question.type === 'matching') {
+        // Missed pairs come back one at a time as EN → TR questions
+        answers.filter(a => isFailedAnswer(a) && state.words[a.wordId]).forEach(a => {
+            insertIntoQueue({ word: state.words[a.wordId], type: 'direct', requeued: true }, SESSION_REQUEUE_GAP);
+        });
         return;
     }
 
-    // Extract first JSON object substring between first '{' and last '}'
-    const first = rawText.indexOf('{');
-    const last = rawText.lastIndexOf('}');
-    if (first === -1 || last === -1 || last <= first) {
-        showToast('Geçerli JSON bulunamadı. Lütfen yalnızca JSON objesini yapıştırın.', 'error');
-        return;
+    const { word, type, partnerId } = question;
+    const partner = partnerId ? { partnerId } : {};
+    if (isFailedAnswer(answers[0])) {
+        insertIntoQueue({ word, type, requeued: true, learning: question.learning, ...partner }, SESSION_REQUEUE_GAP);
+    } else if (!currentQuiz.drill && isLearningWord(word) && !hasPendingQuestion(word.id)) {
+        const step = word.stats.learningStep || 0;
+        insertIntoQueue({ word, type, requeued: true, learning: true, ...partner }, LEARNING_STEPS[Math.max(0, step - 1)]);
     }
+}
 
-    const jsonStr = rawText.slice(first, last + 1);
-    let obj;
-    try {
-        obj = JSON.parse(jsonStr);
-    } catch (err) {
-        console.error('JSON parse error', err);
-        showToast('JSON ayrıştırılamadı. Lütfen formatı kontrol edin.', 'error');
+// ==================== MISTAKE DRILL ====================
+// Replays the word/type pairs missed in a quiz until each has been answered
+// correctly once (see SESSION QUEUE). Drill answers are marked `relearning`:
+// they don't touch the schedule (the miss already did) and aren't counted in scores.
+function getMissedPairs(answers) {
+    const pairs = new Map();
+    answers.filter(a => !a.correct && !a.relearning && state.words[a.wordId]).forEach(answer => {
+        // A missed pair on the matching board is drilled as a single EN → TR question
+        const type = answer.type === 'matching' ? 'direct' : answer.type;
+        pairs.set(`${answer.wordId}|${type}`, { word: state.words[answer.wordId], type });
+    });
+    return Array.from(pairs.values()).filter(({ word, type }) => isQuestionTypeApplicable(word, type));
+}
+
+function startMistakeDrill() {
+    const questions = currentQuiz ? getMissedPairs(currentQuiz.answers) : [];
+    if (questions.length === 0) {
+        showToast('No mistakes to drill. Well done!', 'success');
         return;
     }
 
-    // Map fields to form inputs
-    const set = (id, value) => {
-        const el = document.getElementById(id);
-        if (!el) return;
-        el.value = value ?? '';
-        // Trigger input events if needed
-        el.dispatchEvent(new Event('input', { bubbles: true }));
+    document.querySelectorAll('.quiz-feedback').forEach(el => el.remove());
+    selectedAnswer = null;
+    currentQuiz = {
+        id: generateUUID(),
+        source: 'drill',
+        drill: true,
+        parentQuizId: currentQuiz.id,
+        questions: shuffle(questions),
+        currentIndex: 0,
+        answers: [],
+        writingMode: currentQuiz.writingMode,
+        timing: null,
+        startTime: new Date().toISOString()
     };
 
-    set(prefix + 'english', obj.english || obj.English || '');
-    set(prefix + 'turkish', obj.turkish || obj.Turkish || '');
-    set(prefix + 'pron', obj.pronunciation || obj.pron || '');
-    set(prefix + 'level', obj.level || 'C1');
-    set(prefix + 'engExp', obj.englishExplanation || obj.englishExplanation || '');
-    // Handle both modal and page IDs for Turkish explanation: modal uses 'f-turkishExp', page uses 'page-turkExp'
-    const turkVal = obj.turkishExplanation || obj.turkishExp || obj.turkExp || obj.turkish || '';
-    set(prefix + 'turkExp', turkVal);
-    set(prefix + 'turkishExp', turkVal);
-    set(prefix + 'turkishExplanation', turkVal);
+    if (window.location.hash === '#quiz') {
+        renderQuiz(document.getElementById('mainContent'));
+    } else {
+        navigateTo('quiz');
+    }
+}
 
-    // Synonyms/antonyms
-    if (Array.isArray(obj.synonyms)) set(prefix + 'syn', obj.synonyms.join(', '));
-    if (Array.isArray(obj.antonyms)) set(prefix + 'ant', obj.antonyms.join(', '));
+function showDrillSummary() {
+    const relearned = new Set(currentQuiz.answers.map(a => `${a.wordId}|${a.type}`)).size;
+    const attempts = currentQuiz.answers.length;
 
-    // Notes
-    if (obj.notes || obj.note) set(prefix + 'notes', obj.notes || obj.note || '');
+    state.history.push({
+        quizId: currentQuiz.id,
+        date: new Date().toISOString(),
+        score: 0,
+        total: 0,
+        relearning: true,
+        details: currentQuiz.answers
+    });
+    state.activeQuiz = null;
+    updateStreak();
+    saveState();
 
-    // Examples: convert to lines like "English — Turkish"
-    if (Array.isArray(obj.examples)) {
-        const lines = obj.examples.map(e => {
-            if (typeof e === 'string') return e;
-            const en = e.english || e.en || '';
-            const tr = e.turkish || e.tr || '';
-            return tr ? `${en} — ${tr}` : en;
-        });
-        set(prefix + 'examples', lines.join('\n'));
-    }
+    const attemptsByWord = {};
+    currentQuiz.answers.forEach(answer => {
+        attemptsByWord[answer.wordId] = (attemptsByWord[answer.wordId] || 0) + 1;
+    });
 
-    showToast('Form alanları ChatGPT JSON ile dolduruldu. Lütfen kontrol edip Kaydetin.', 'success');
+    document.getElementById('mainContent').innerHTML = `
+        <div class="quiz-summary">
+            <h1 style="margin-bottom: 1rem;">Mistakes Drilled!</h1>
+            <div class="summary-score">${relearned}</div>
+            <div style="font-size: 1.25rem; color: var(--v-text-secondary); margin-bottom: 2rem;">
+                ${relearned === 1 ? 'answer' : 'answers'} relearned in ${attempts} ${attempts === 1 ? 'attempt' : 'attempts'}
+            </div>
+            <p style="color: var(--v-text-tertiary); margin-bottom: 2rem;">
+                Drill answers are kept in your history but don't count towards quiz scores.
+            </p>
+
+            <div class="word-breakdown">
+                ${Object.entries(attemptsByWord).map(([wordId, count]) => {
+                    const word = state.words[wordId];
+                    if (!word) return '';
+                    return `
+                        <div class="breakdown-item">
+                            <span><strong>${escapeHtml(word.english)}</strong> - ${escapeHtml(word.turkish)}</span>
+                            <span style="color: var(--v-text-tertiary);">${count} ${count === 1 ? 'try' : 'tries'}</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+
+            <div style="display: flex; gap: 1rem; margin-top: 2rem; flex-wrap: wrap; justify-content: center;">
+                <button class="btn-primary" onclick="currentQuiz = null; navigateTo('learn')" data-testid="button-back-learn">
+                    <i class="fas fa-graduation-cap"></i> Back to Learn
+                </button>
+                <button class="btn-primary" onclick="currentQuiz = null; navigateTo('dashboard')" data-testid="button-back-dashboard">
+                    <i class="fas fa-home"></i> Back to Dashboard
+                </button>
+            </div>
+        </div>
+    `;
 }
 
-function startQuiz() {
-    const source = document.getElementById('quiz-source').value;
-    const randomize = document.getElementById('quiz-randomize').checked;
-    
-    const questionTypes = Array.from(document.querySelectorAll('input[type="checkbox"][value]'))
-        .filter(cb => cb.checked)
-        .map(cb => cb.value);
-    
-    if (questionTypes.length === 0) {
-        showToast('Please select at least one question type.', 'warning');
+// ==================== QUIZ TIMER ====================
+// Optional per-question countdown and whole-quiz time limit. The clock for a
+// question starts when it is rendered and stops when it is answered.
+const QUIZ_TIMER_TICK_MS = 250;
+// Answers faster/slower than this count as confident/shaky recall; typed
+// answers get twice as long
+const RESPONSE_TIME_THRESHOLDS = { fast: 3000, slow: 10000 };
+const TYPED_QUESTION_TYPES = ['writing', 'listening', 'recall', 'recall-reverse'];
+
+let quizTimer = null;
+
+function readQuizTiming() {
+    const perQuestion = parseInt(document.getElementById('quiz-question-time')?.value) || 0;
+    const total = parseInt(document.getElementById('quiz-time-limit')?.value) || 0;
+    return perQuestion || total ? { perQuestion, total } : null;
+}
+
+function getQuizDeadline() {
+    if (!currentQuiz?.timing?.total) return null;
+    return Date.parse(currentQuiz.startTime) + currentQuiz.timing.total * 1000;
+}
+
+function isQuizTimeUp() {
+    const deadline = getQuizDeadline();
+    return deadline !== null && Date.now() >= deadline;
+}
+
+function formatCountdown(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}` : `${seconds}s`;
+}
+
+function formatResponseTime(ms) {
+    return ms < 60000 ? `${(ms / 1000).toFixed(1)}s` : formatCountdown(ms);
+}
+
+function renderQuizTimer() {
+    if (!currentQuiz?.timing) return '';
+    return `
+        <div class="quiz-timer" id="quiz-timer" data-testid="quiz-timer">
+            ${currentQuiz.timing.perQuestion ? `
+                <div class="quiz-timer-bar"><div class="quiz-timer-fill" id="quiz-timer-fill"></div></div>
+                <span class="quiz-timer-label"><i class="fas fa-stopwatch"></i> <span id="quiz-question-countdown"></span></span>
+            ` : ''}
+            ${currentQuiz.timing.total ? `
+                <span class="quiz-timer-label"><i class="fas fa-hourglass-half"></i> <span id="quiz-total-countdown"></span></span>
+            ` : ''}
+        </div>
+    `;
+}
+
+function startQuizTimer() {
+    stopQuizTimer();
+    if (!currentQuiz?.timing) return;
+    tickQuizTimer();
+    quizTimer = setInterval(tickQuizTimer, QUIZ_TIMER_TICK_MS);
+}
+
+function stopQuizTimer() {
+    if (quizTimer) {
+        clearInterval(quizTimer);
+        quizTimer = null;
+    }
+}
+
+function tickQuizTimer() {
+    // Leaving the quiz page stops the clock; coming back restarts the question
+    if (!currentQuiz || !document.getElementById('quiz-timer')) {
+        stopQuizTimer();
         return;
     }
-    
-    // Get words based on source
-    let words = [];
-    switch (source) {
-        case 'all':
-            words = Object.values(state.words);
-            break;
-        case 'due':
-            words = getDueWords();
-            break;
-        case 'favorites':
-            words = Object.values(state.words).filter(w => w.favorite);
-            break;
-        case 'hard':
-            words = Object.values(state.words).filter(w => isHardWord(w));
-            break;
-        case 'category':
-            const category = document.getElementById('quiz-category').value;
-            words = getWordsByCategory(category);
-            break;
-        case 'custom':
-            const selectedIds = Array.from(document.querySelectorAll('.word-selection-item input[type="checkbox"]:checked'))
-                .map(cb => cb.closest('.word-selection-item').getAttribute('data-word-id'));
-            words = Object.values(state.words).filter(w => selectedIds.includes(w.id));
-            break;
+
+    const now = Date.now();
+    const deadline = getQuizDeadline();
+    if (deadline !== null) {
+        document.getElementById('quiz-total-countdown').textContent = formatCountdown(deadline - now);
+        if (now >= deadline) {
+            endQuizOnTimeUp();
+            return;
+        }
     }
-    
-    if (words.length < 5) {
-        showToast('You need at least 5 words to start a quiz.', 'warning');
-        return;
+
+    const limit = currentQuiz.timing.perQuestion * 1000;
+    if (limit) {
+        const remaining = limit - (now - currentQuiz.questionStartedAt);
+        document.getElementById('quiz-question-countdown').textContent = formatCountdown(remaining);
+        const fill = document.getElementById('quiz-timer-fill');
+        fill.style.width = `${Math.max(0, remaining / limit) * 100}%`;
+        fill.classList.toggle('low', remaining <= limit / 4);
+        if (remaining <= 0) {
+            stopQuizTimer();
+            timeOutQuestion();
+        }
     }
-    
-    let wordCount = source === 'custom' ? words.length : parseInt(document.getElementById('quiz-word-count').value);
+}
 
-    if (source !== 'custom' && wordCount < 5) {
-        showToast('Please select at least 5 words.', 'warning');
-        return;
+// The question on screen counts as wrong when its time runs out
+function timeOutQuestion() {
+    const question = currentQuiz.questions[currentQuiz.currentIndex];
+    if (!question || getQuestionAnswers(currentQuiz.currentIndex).length > 0) return;
+    if (question.type === 'matching') {
+        submitMatching({ timedOut: true });
+    } else {
+        submitAnswer({ timedOut: true });
     }
-    
-    // Shuffle and select words
-    const shuffled = [...words].sort(() => Math.random() - 0.5);
-    const selectedWords = shuffled.slice(0, Math.min(wordCount, words.length));
-    
-    // Generate questions
-    const questions = [];
-    selectedWords.forEach(word => {
-        questionTypes.forEach(type => {
-            questions.push({ word, type });
-        });
+}
+
+function endQuizOnTimeUp() {
+    stopQuizTimer();
+    timeOutQuestion();
+    document.querySelector('.quiz-feedback')?.remove();
+    finalizePendingGrade();
+    showToast("Time's up!", 'info');
+    showQuizSummary();
+}
+
+function getResponseTime() {
+    return currentQuiz.questionStartedAt ? Date.now() - currentQuiz.questionStartedAt : null;
+}
+
+function getResponseSpeed(answer) {
+    if (!answer || typeof answer.responseTimeMs !== 'number' || answer.timedOut) return null;
+    const scale = TYPED_QUESTION_TYPES.includes(answer.type) ? 2 : 1;
+    if (answer.responseTimeMs <= RESPONSE_TIME_THRESHOLDS.fast * scale) return 'fast';
+    if (answer.responseTimeMs >= RESPONSE_TIME_THRESHOLDS.slow * scale) return 'slow';
+    return null;
+}
+
+function getAverageResponseTime(answers) {
+    const times = answers.filter(a => typeof a.responseTimeMs === 'number' && !a.timedOut).map(a => a.responseTimeMs);
+    return times.length ? Math.round(times.reduce((sum, ms) => sum + ms, 0) / times.length) : null;
+}
+
+// ==================== QUIZ PERSISTENCE ====================
+// The quiz in progress is mirrored into state.activeQuiz (stored with the
+// settings) so a reload or navigating away doesn't lose the session. Words are
+// stored by id; the generated parts of a question (cloze, definition, the
+// picked synonym, matching order) are kept so the question looks the same.
+const SAVED_QUESTION_FIELDS = ['answer', 'cloze', 'definition', 'rightOrder', 'learning', 'requeued', 'partnerId'];
+
+function serializeQuiz(quiz) {
+    return {
+        id: quiz.id,
+        source: quiz.source || null,
+        drill: Boolean(quiz.drill),
+        writingMode: quiz.writingMode,
+        timing: quiz.timing || null,
+        startTime: quiz.startTime,
+        currentIndex: quiz.currentIndex,
+        questions: quiz.questions.map(question => {
+            const saved = { type: question.type };
+            if (question.type === 'matching') {
+                saved.wordIds = question.words.map(w => w.id);
+            } else {
+                saved.wordId = question.word?.id || question.wordId;
+            }
+            SAVED_QUESTION_FIELDS.forEach(field => {
+                if (question[field] !== undefined) saved[field] = question[field];
+            });
+            return saved;
+        }),
+        answers: quiz.answers,
+        savedAt: new Date().toISOString()
+    };
+}
+
+function restoreQuiz(saved) {
+    const questions = saved.questions.map((savedQuestion, index) => {
+        const question = { ...savedQuestion };
+        if (savedQuestion.type === 'matching') {
+            question.words = savedQuestion.wordIds.map(id => state.words[id]).filter(Boolean);
+            delete question.wordIds;
+        } else {
+            question.word = state.words[savedQuestion.wordId] || null;
+        }
+        // Words deleted since the quiz was saved can't be asked any more
+        const askable = question.type === 'matching' ? question.words.length >= 2 : question.word;
+        return index < saved.currentIndex || askable ? question : null;
     });
-    
-    if (randomize) {
-        questions.sort(() => Math.random() - 0.5);
-    }
-    
-    currentQuiz = {
-        id: generateUUID(),
-        questions,
-        currentIndex: 0,
-        answers: [],
-        startTime: new Date().toISOString()
+
+    // Dropping questions shifts the indexes the answers point at
+    const indexMap = new Map();
+    const kept = [];
+    questions.forEach((question, index) => {
+        if (!question) return;
+        indexMap.set(index, kept.length);
+        kept.push(question);
+    });
+    const currentIndex = Array.from(indexMap.keys()).filter(index => index < saved.currentIndex).length;
+
+    // Time spent away doesn't count against the quiz time limit
+    const pausedFor = Date.now() - Date.parse(saved.savedAt || saved.startTime);
+
+    return {
+        id: saved.id,
+        source: saved.source,
+        drill: Boolean(saved.drill),
+        questions: kept,
+        currentIndex,
+        answers: saved.answers.map(answer => ({ ...answer, questionIndex: indexMap.get(answer.questionIndex) })),
+        writingMode: saved.writingMode || 'tiles',
+        timing: saved.timing || null,
+        startTime: new Date(Date.parse(saved.startTime) + Math.max(0, pausedFor)).toISOString()
     };
-    
-    document.getElementById('quiz-config-modal').classList.remove('active');
-    navigateTo('quiz');
 }
 
-function startDailyTest() {
-    const dueWords = getDueWords();
-    if (dueWords.length < 5) {
-        showToast('Not enough words due for review yet.', 'info');
+function persistActiveQuiz() {
+    state.activeQuiz = currentQuiz ? serializeQuiz(currentQuiz) : null;
+    debouncedSaveState();
+}
+
+function getActiveQuiz() {
+    if (currentQuiz && state.activeQuiz && state.activeQuiz.id === currentQuiz.id) return currentQuiz;
+    return state.activeQuiz ? restoreQuiz(state.activeQuiz) : null;
+}
+
+function resumeQuiz() {
+    const quiz = getActiveQuiz();
+    if (!quiz) {
+        showToast('There is no quiz to resume.', 'info');
         return;
     }
-    
-    openQuizConfig('due');
+    currentQuiz = quiz;
+
+    // An answer that was shown but not graded before the reload gets the default grade
+    const lastAnswer = currentQuiz.answers[currentQuiz.answers.length - 1];
+    if (lastAnswer && lastAnswer.questionIndex === currentQuiz.currentIndex) {
+        finalizePendingGrade();
+        currentQuiz.currentIndex++;
+    }
+
+    if (currentQuiz.currentIndex >= currentQuiz.questions.length) {
+        showQuizSummary();
+        return;
+    }
+    if (window.location.hash === '#quiz') {
+        renderQuiz(document.getElementById('mainContent'));
+    } else {
+        navigateTo('quiz');
+    }
 }
 
-function renderQuiz(container) {
-    if (!currentQuiz) {
+// Ends the quiz early, keeping whatever was answered as a partial session in history
+function abandonQuiz({ silent = false } = {}) {
+    const quiz = getActiveQuiz();
+    stopQuizTimer();
+    document.querySelector('.quiz-feedback')?.remove();
+
+    if (quiz) {
+        currentQuiz = quiz;
+        finalizePendingGrade();
+        if (quiz.answers.length > 0) {
+            const scored = quiz.answers.filter(a => !a.relearning);
+            state.history.push({
+                quizId: quiz.id,
+                date: new Date().toISOString(),
+                score: scored.filter(a => a.correct).length,
+                total: scored.length,
+                abandoned: true,
+                ...(quiz.drill ? { relearning: true } : {}),
+                details: quiz.answers
+            });
+            updateStreak();
+        }
+    }
+
+    currentQuiz = null;
+    state.activeQuiz = null;
+    saveState();
+
+    if (silent) return;
+    showToast(quiz && quiz.answers.length > 0 ? 'Quiz abandoned. Your answers were saved to history.' : 'Quiz abandoned.', 'info');
+    if (window.location.hash === '#quiz') {
         navigateTo('learn');
-        return;
+    } else {
+        handleRoute();
     }
-    
-    const question = currentQuiz.questions[currentQuiz.currentIndex];
-    const progress = currentQuiz.answers.length;
-    const total = currentQuiz.questions.length;
-    
-    container.innerHTML = `
-        <div class="quiz-container">
-            <div class="quiz-progress">
-                ${currentQuiz.questions.map((_, i) => `
-                    <div class="progress-dot ${
-                        i < progress ? (currentQuiz.answers[i].correct ? 'correct' : 'wrong') : 
-                        i === progress ? 'current' : ''
-                    }"></div>
-                `).join('')}
+}
+
+function renderResumeQuizPrompt() {
+    const saved = state.activeQuiz;
+    if (!saved) return '';
+    const answered = new Set(saved.answers.map(a => a.questionIndex)).size;
+    return `
+        <div class="card resume-quiz-card" data-testid="card-resume-quiz">
+            <div>
+                <h3><i class="fas fa-pause-circle"></i> Unfinished Quiz</h3>
+                <p style="color: var(--v-text-secondary); margin-top: 0.5rem;">
+                    ${answered} of ${saved.questions.length} questions answered · started ${formatDate(saved.startTime)}
+                </p>
             </div>
-            
-            <div class="quiz-question">
-                <div class="question-number">Question ${progress + 1} of ${total}</div>
-                <div id="question-content"></div>
+            <div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">
+                <button class="btn-primary" onclick="resumeQuiz()" data-testid="button-resume-quiz">
+                    <i class="fas fa-play"></i> Resume Quiz
+                </button>
+                <button class="btn-secondary" onclick="abandonQuiz()" data-testid="button-abandon-quiz">
+                    <i class="fas fa-times"></i> Abandon
+                </button>
             </div>
         </div>
     `;
-    
-    renderQuestion(question, document.getElementById('question-content'));
 }
 
-function renderQuestion(question, container) {
-    const { word, type } = question;
-    
-    switch (type) {
-        case 'direct':
-            renderDirectTranslation(word, container);
-            break;
-        case 'reverse':
-            renderReverseTranslation(word, container);
-            break;
-        case 'writing':
-            renderWriting(word, container);
-            break;
-        case 'listening':
-            renderListening(word, container);
-            break;
+// ==================== MATCHING PAIRS ====================
+// One question covers a batch of words; every pair is recorded as its own answer.
+const MATCHING_MIN_PAIRS = 5;
+const MATCHING_MAX_PAIRS = 8;
+
+let matchingPairs = {};
+let matchingSelection = null;
+
+// Split words into batches of 5-8 of roughly equal size
+function buildMatchingQuestions(words) {
+    const usable = words.filter(w => w.turkish);
+    if (usable.length < MATCHING_MIN_PAIRS) return [];
+
+    let batches = Math.ceil(usable.length / MATCHING_MAX_PAIRS);
+    while (batches > 1 && usable.length / batches < MATCHING_MIN_PAIRS) batches--;
+
+    const questions = [];
+    let start = 0;
+    for (let i = 0; i < batches; i++) {
+        const size = Math.round((usable.length - start) / (batches - i));
+        questions.push({ type: 'matching', words: usable.slice(start, start + size) });
+        start += size;
     }
+    return questions;
 }
 
-function renderDirectTranslation(word, container) {
-    const distractors = generateDistractors(word, 'turkish');
-    const options = shuffle([word.turkish, ...distractors]);
-    
-    container.innerHTML = `
-        <div class="question-text">${word.english}</div>
-        <p style="color: var(--v-text-secondary); margin-bottom: 2rem;">Select the Turkish translation:</p>
-        <div class="quiz-options">
-            ${options.map(option => `
-                <div class="quiz-option" onclick="selectOption(this, '${word.turkish}')" data-testid="option-${option}">
-                    ${option || '(No translation)'}
-                </div>
-            `).join('')}
-        </div>
-        <button class="btn-primary btn-block" onclick="submitAnswer()" data-testid="button-submit-answer">
-            Submit Answer
-        </button>
-    `;
-}
+function renderMatching(question, container) {
+    if (!question.rightOrder) question.rightOrder = shuffle(question.words.map(w => w.id));
+    matchingPairs = {};
+    matchingSelection = null;
 
-function renderReverseTranslation(word, container) {
-    const distractors = generateDistractors(word, 'english');
-    const options = shuffle([word.english, ...distractors]);
-    
     container.innerHTML = `
-        <div class="question-text">${word.turkish || getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp')}</div>
-        <p style="color: var(--v-text-secondary); margin-bottom: 2rem;">Select the English word:</p>
-        <div class="quiz-options">
-            ${options.map(option => `
-                <div class="quiz-option" onclick="selectOption(this, '${word.english}')" data-testid="option-${option}">
-                    ${option}
-                </div>
-            `).join('')}
-        </div>
-        <button class="btn-primary btn-block" onclick="submitAnswer()">
-            Submit Answer
+        <div class="question-text">Match the pairs</div>
+        <p style="color: var(--v-text-secondary); margin-bottom: 2rem;">
+            Drag each English word onto its Turkish meaning, or pick one from each column.
+        </p>
+        <div class="matching-board" id="matching-board" data-testid="matching-board"></div>
+        <button class="btn-primary btn-block" id="btn-check-pairs" onclick="submitMatching()" disabled data-testid="button-check-pairs">
+            Check Pairs
         </button>
     `;
-}
-
-function renderWriting(word, container) {
-    const example = word.examples[0] || word.englishExplanation || '';
-    const blank = example.replace(new RegExp(word.english, 'gi'), '____');
-
-    // Prepare letters (preserve original characters)
-    const target = word.english || '';
-    const letters = target.split('');
 
-    // Create shuffled pool
-    const pool = shuffle(letters.map((ch, i) => ({ ch, id: `${i}-${Math.random().toString(36).slice(2,8)}` })));
-
-    container.innerHTML = `
-        <div class="question-text">Fill in the blank:</div>
-        <p style="font-size: 1.1rem; margin: 1.25rem 0; font-style: italic;">"${blank}"</p>
+    renderMatchingBoard();
+}
 
-        <div id="writing-slots" class="writing-slots" aria-label="answer slots">
-            ${letters.map((ch, idx) => {
-                if (/[A-Za-zÀ-ÖØ-öø-ÿ]/.test(ch)) {
-                    return `<span class="slot" data-index="${idx}" data-fixed="false"></span>`;
-                } else {
-                    return `<span class="slot fixed" data-index="${idx}" data-fixed="true">${escapeHtml(ch)}</span>`;
-                }
-            }).join('')}
-        </div>
+function renderMatchingBoard(focus = null) {
+    const board = document.getElementById('matching-board');
+    const question = currentQuiz.questions[currentQuiz.currentIndex];
+    if (!board || !question) return;
+
+    const leftNumber = {};
+    question.words.forEach((w, i) => { leftNumber[w.id] = i + 1; });
+    const pairedRight = {};
+    Object.entries(matchingPairs).forEach(([leftId, rightId]) => { pairedRight[rightId] = leftId; });
+
+    const item = (side, word, number, label) => {
+        const selected = matchingSelection && matchingSelection.side === side && matchingSelection.id === word.id;
+        const classes = ['match-item', number ? `paired pair-${(number - 1) % MATCHING_MAX_PAIRS}` : '', selected ? 'selected' : ''].join(' ');
+        return `
+            <button type="button" class="${classes}" data-side="${side}" data-id="${word.id}" draggable="${side === 'left'}"
+                aria-pressed="${selected}" aria-label="${escapeHtml(label)}${number ? `, paired with ${number}` : ''}" data-testid="match-${side}-${word.id}">
+                <span class="pair-badge">${number || ''}</span>
+                <span>${escapeHtml(side === 'left' ? word.english : word.turkish)}</span>
+            </button>
+        `;
+    };
 
-        <div id="letter-pool" class="letter-pool" aria-label="letter pool">
-            ${pool.map(p => `<button class="letter-tile" data-id="${p.id}" data-char="${escapeHtml(p.ch)}">${escapeHtml(p.ch)}</button>`).join('')}
+    board.innerHTML = `
+        <div class="matching-column">
+            ${question.words.map(w => item('left', w, matchingPairs[w.id] ? leftNumber[w.id] : 0, w.english)).join('')}
         </div>
-
-        <div style="display:flex; gap: .5rem; margin-top: 1rem;">
-            <button class="btn-secondary" id="btn-clear-slots">Clear</button>
-            <div style="flex:1"></div>
-            <button class="btn-primary btn-block" onclick="submitAnswer()">Submit Answer</button>
+        <div class="matching-column">
+            ${question.rightOrder.map(id => {
+                const word = question.words.find(w => w.id === id);
+                return item('right', word, pairedRight[id] ? leftNumber[pairedRight[id]] : 0, word.turkish);
+            }).join('')}
         </div>
     `;
 
-    // Wire interactions
-    const poolEl = container.querySelector('#letter-pool');
-    const slotsEl = container.querySelector('#writing-slots');
-
-    function findNextEmptySlot() {
-        return slotsEl.querySelector('.slot:not(.fixed):not([data-filled="true"])');
-    }
-
-    poolEl.addEventListener('click', (e) => {
-        const btn = e.target.closest('.letter-tile');
-        if (!btn) return;
-        const char = btn.getAttribute('data-char');
+    board.querySelectorAll('.match-item').forEach(btn => {
+        const side = btn.getAttribute('data-side');
         const id = btn.getAttribute('data-id');
-        const slot = findNextEmptySlot();
-        if (!slot) return; // no empty slots
-        slot.textContent = char;
-        slot.setAttribute('data-filled', 'true');
-        slot.setAttribute('data-from', id);
-        btn.disabled = true;
-        btn.classList.add('used');
-    });
-
-    slotsEl.addEventListener('click', (e) => {
-        const slot = e.target.closest('.slot');
-        if (!slot) return;
-        if (slot.classList.contains('fixed')) return;
-        const fromId = slot.getAttribute('data-from');
-        if (fromId) {
-            const tile = poolEl.querySelector(`.letter-tile[data-id="${fromId}"]`);
-            if (tile) {
-                tile.disabled = false;
-                tile.classList.remove('used');
-            }
+        btn.addEventListener('click', () => selectMatchItem(side, id));
+        if (side === 'left') {
+            btn.addEventListener('dragstart', e => {
+                e.dataTransfer.setData('text/plain', id);
+                e.dataTransfer.effectAllowed = 'link';
+            });
+        } else {
+            btn.addEventListener('dragover', e => {
+                e.preventDefault();
+                btn.classList.add('drag-over');
+            });
+            btn.addEventListener('dragleave', () => btn.classList.remove('drag-over'));
+            btn.addEventListener('drop', e => {
+                e.preventDefault();
+                const leftId = e.dataTransfer.getData('text/plain');
+                if (leftId) pairMatchItems(leftId, id);
+            });
         }
-        slot.removeAttribute('data-from');
-        slot.removeAttribute('data-filled');
-        slot.textContent = '';
     });
 
-    container.querySelector('#btn-clear-slots').addEventListener('click', () => {
-        slotsEl.querySelectorAll('.slot').forEach(s => {
-            if (s.classList.contains('fixed')) return;
-            const fromId = s.getAttribute('data-from');
-            if (fromId) {
-                const tile = poolEl.querySelector(`.letter-tile[data-id="${fromId}"]`);
-                if (tile) { tile.disabled = false; tile.classList.remove('used'); }
-            }
-            s.removeAttribute('data-from');
-            s.removeAttribute('data-filled');
-            s.textContent = '';
-        });
-    });
+    document.getElementById('btn-check-pairs').disabled = Object.keys(matchingPairs).length < question.words.length;
+    if (focus) board.querySelector(`.match-item[data-side="${focus.side}"][data-id="${focus.id}"]`)?.focus();
 }
 
-function renderListening(word, container) {
-    container.innerHTML = `
-        <div class="question-text">Listen and type the word:</div>
-        <button class="btn-primary" onclick="playPronunciation('${word.english}', this)" style="margin: 2rem auto; display: flex; align-items: center; gap: 0.5rem;" data-testid="button-play-audio">
-            <i class="fas fa-volume-up"></i> Play Audio
-        </button>
-        <input type="text" class="quiz-input" id="listening-answer" placeholder="Type what you hear..." data-testid="input-listening-answer">
-        <button class="btn-primary btn-block" onclick="submitAnswer()" style="margin-top: 2rem;">
-            Submit Answer
-        </button>
-    `;
-    
-    // Auto-play once
-    setTimeout(() => playPronunciation(word.english), 500);
+function pairMatchItems(leftId, rightId) {
+    Object.keys(matchingPairs).forEach(key => {
+        if (matchingPairs[key] === rightId) delete matchingPairs[key];
+    });
+    matchingPairs[leftId] = rightId;
+    matchingSelection = null;
+    renderMatchingBoard({ side: 'right', id: rightId });
 }
 
-let selectedAnswer = null;
+// Click (or Enter/Space) one item on each side to pair them; clicking a paired item frees it
+function selectMatchItem(side, id) {
+    if (side === 'left' && matchingPairs[id]) {
+        delete matchingPairs[id];
+    } else if (side === 'right') {
+        Object.keys(matchingPairs).forEach(key => {
+            if (matchingPairs[key] === id) delete matchingPairs[key];
+        });
+    }
 
-function selectOption(element, correctAnswer) {
-    document.querySelectorAll('.quiz-option').forEach(opt => {
-        opt.classList.remove('selected');
-    });
-    element.classList.add('selected');
-    selectedAnswer = element.textContent.trim();
+    if (matchingSelection && matchingSelection.side !== side) {
+        const leftId = side === 'left' ? id : matchingSelection.id;
+        const rightId = side === 'right' ? id : matchingSelection.id;
+        pairMatchItems(leftId, rightId);
+        return;
+    }
+
+    matchingSelection = matchingSelection && matchingSelection.id === id ? null : { side, id };
+    renderMatchingBoard({ side, id });
 }
 
-function submitAnswer() {
+function submitMatching({ timedOut = false } = {}) {
     const question = currentQuiz.questions[currentQuiz.currentIndex];
-    const { word, type } = question;
-    
-    let userAnswer = selectedAnswer;
-    
-    if (type === 'writing') {
-        // assemble from slots
-        const slotsEl = document.getElementById('writing-slots');
-        if (slotsEl) {
-            const slotNodes = Array.from(slotsEl.querySelectorAll('.slot'));
-            userAnswer = slotNodes.map(s => s.classList.contains('fixed') ? s.textContent : (s.getAttribute('data-filled') === 'true' ? (s.textContent || '') : '')).join('').trim();
-        } else {
-            userAnswer = document.getElementById('writing-answer')?.value.trim();
-        }
-    } else if (type === 'listening') {
-        userAnswer = document.getElementById('listening-answer')?.value.trim();
-    }
-    
-    if (!userAnswer) {
-        showToast('Please provide an answer.', 'warning');
+    if (!timedOut && Object.keys(matchingPairs).length < question.words.length) {
+        showToast('Pair every word first.', 'warning');
         return;
     }
-    
-    let correct = false;
-    let correctAnswer = '';
-    
-    switch (type) {
-        case 'direct':
-            correctAnswer = word.turkish;
-            correct = userAnswer === correctAnswer;
-            break;
-        case 'reverse':
-            correctAnswer = word.english;
-            correct = userAnswer === correctAnswer;
-            break;
-        case 'writing':
-        case 'listening':
-            correctAnswer = word.english;
-            correct = userAnswer.toLowerCase() === correctAnswer.toLowerCase();
-            break;
-    }
-    
-    currentQuiz.answers.push({
-        wordId: word.id,
-        type,
-        userAnswer,
-        correctAnswer,
-        correct
+    stopQuizTimer();
+
+    // The board is answered as a whole, so each pair gets an equal share of the time
+    const elapsed = getResponseTime();
+    const responseTimeMs = elapsed === null ? null : Math.round(elapsed / question.words.length);
+
+    const results = question.words.map(word => {
+        // Pairs left open when the clock ran out count as wrong
+        const chosen = question.words.find(w => w.id === matchingPairs[word.id]);
+        // Identical translations are interchangeable
+        const correct = Boolean(chosen) && (chosen.id === word.id ||
+            matchAnswer(chosen.turkish, getTranslations(word), 'tr', { allowAlmost: false }).result === 'correct');
+        const grade = correct ? 'good' : 'again';
+
+        const answer = {
+            wordId: word.id,
+            type: 'matching',
+            userAnswer: chosen ? chosen.turkish : '',
+            correctAnswer: word.turkish,
+            correct,
+            grade,
+            confusedWithId: correct || !chosen ? null : chosen.id,
+            ...(chosen ? {} : { timedOut: true }),
+            responseTimeMs,
+            questionIndex: currentQuiz.currentIndex
+        };
+        currentQuiz.answers.push(answer);
+        updateWordStats(word.id, grade, getResponseSpeed(answer));
+        return { word, chosen, correct };
     });
-    
-    updateWordStats(word.id, correct);
-    
-    showFeedback(correct, word, correctAnswer);
-    selectedAnswer = null;
+    persistActiveQuiz();
+
+    showMatchingFeedback(results);
 }
 
-function showFeedback(correct, word, correctAnswer) {
+function showMatchingFeedback(results) {
+    const correctCount = results.filter(r => r.correct).length;
+    const allCorrect = correctCount === results.length;
     const feedbackDiv = document.createElement('div');
     feedbackDiv.className = 'quiz-feedback';
     feedbackDiv.innerHTML = `
         <div class="feedback-content">
-            <div class="feedback-icon ${correct ? 'correct' : 'wrong'}">
-                <i class="fas fa-${correct ? 'check-circle' : 'times-circle'}"></i>
+            <div class="feedback-icon ${allCorrect ? 'correct' : 'wrong'}">
+                <i class="fas fa-${allCorrect ? 'check-circle' : 'times-circle'}"></i>
             </div>
-            <div class="feedback-title">${correct ? 'Correct!' : 'Incorrect'}</div>
-            <div class="feedback-answer">
-                <strong>${word.english}</strong>
-                ${word.pronunciation ? `<div class="font-mono" style="margin-top: 0.5rem;">${word.pronunciation}</div>` : ''}
-                <div style="margin-top: 0.5rem; font-style: italic;">${word.turkish}</div>
-                ${word.englishExplanation ? `<div style="margin-top: 0.75rem; font-size: 0.9rem; color: var(--v-text-secondary);">${word.englishExplanation}</div>` : ''}
+            <div class="feedback-title">${correctCount} of ${results.length} pairs correct</div>
+            <div class="feedback-answer matching-results">
+                ${results.map(r => `
+                    <div class="matching-result ${r.correct ? 'correct' : 'wrong'}">
+                        <i class="fas fa-${r.correct ? 'check' : 'times'}"></i>
+                        <strong>${escapeHtml(r.word.english)}</strong> — ${escapeHtml(r.word.turkish)}
+                        ${r.correct ? '' : `<span class="matching-chosen">${r.chosen ? `(you chose ${escapeHtml(r.chosen.turkish)})` : '(not paired in time)'}</span>`}
+                    </div>
+                `).join('')}
             </div>
-            <button class="btn-secondary" onclick="playPronunciation('${word.english}', this)">
-                <i class="fas fa-volume-up"></i> Hear Pronunciation
-            </button>
-            <button class="btn-primary btn-block" onclick="nextQuestion()" style="margin-top: 1rem;">
-                Continue <i class="fas fa-arrow-right"></i>
-            </button>
+            <button class="btn-primary" onclick="nextQuestion()" data-testid="button-continue">Continue</button>
         </div>
     `;
-    
     document.body.appendChild(feedbackDiv);
-    
-    // Play pronunciation automatically
-    setTimeout(() => playPronunciation(word.english), 300);
 }
 
-function nextQuestion() {
-    document.querySelector('.quiz-feedback')?.remove();
-    
-    currentQuiz.currentIndex++;
-    
-    if (currentQuiz.currentIndex >= currentQuiz.questions.length) {
-        showQuizSummary();
-    } else {
-        renderQuiz(document.getElementById('mainContent'));
+// ==================== CLOZE ====================
+// Finds the headword (including inflected and derived forms) in example
+// sentences and turns every occurrence into a blank.
+const IRREGULAR_FORMS = {
+    be: ['am', 'is', 'are', 'was', 'were', 'been', 'being'],
+    have: ['has', 'had', 'having'],
+    do: ['does', 'did', 'done', 'doing'],
+    go: ['goes', 'went', 'gone', 'going'],
+    begin: ['began', 'begun'], break: ['broke', 'broken'], bring: ['brought'], build: ['built'],
+    buy: ['bought'], catch: ['caught'], choose: ['chose', 'chosen'], come: ['came'],
+    deal: ['dealt'], draw: ['drew', 'drawn'], drink: ['drank', 'drunk'], drive: ['drove', 'driven'],
+    eat: ['ate', 'eaten'], fall: ['fell', 'fallen'], feel: ['felt'], fight: ['fought'],
+    find: ['found'], fly: ['flew', 'flown'], forget: ['forgot', 'forgotten'], forgive: ['forgave', 'forgiven'],
+    get: ['got', 'gotten'], give: ['gave', 'given'], grow: ['grew', 'grown'], hear: ['heard'],
+    hide: ['hid', 'hidden'], hold: ['held'], keep: ['kept'], know: ['knew', 'known'],
+    lead: ['led'], leave: ['left'], lend: ['lent'], lose: ['lost'], make: ['made'],
+    mean: ['meant'], meet: ['met'], pay: ['paid'], ride: ['rode', 'ridden'], rise: ['rose', 'risen'],
+    run: ['ran'], say: ['said'], see: ['saw', 'seen'], seek: ['sought'], sell: ['sold'],
+    send: ['sent'], shake: ['shook', 'shaken'], sing: ['sang', 'sung'], sit: ['sat'],
+    sleep: ['slept'], speak: ['spoke', 'spoken'], spend: ['spent'], stand: ['stood'],
+    steal: ['stole', 'stolen'], swim: ['swam', 'swum'], take: ['took', 'taken'], teach: ['taught'],
+    tear: ['tore', 'torn'], tell: ['told'], think: ['thought'], throw: ['threw', 'thrown'],
+    understand: ['understood'], wake: ['woke', 'woken'], wear: ['wore', 'worn'], win: ['won'],
+    withdraw: ['withdrew', 'withdrawn'], write: ['wrote', 'written']
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Regular inflections plus a few common derivations of a single word
+function getWordForms(base) {
+    const word = base.toLowerCase();
+    const forms = new Set([word, ...(IRREGULAR_FORMS[word] || [])]);
+    const consonantY = /[^aeiou]y$/.test(word);
+    const endsWithE = word.endsWith('e') && !word.endsWith('ee');
+    const doubles = /^[^aeiou]*[aeiou][^aeiouwxy]$/.test(word);
+    const stem = doubles ? word + word.slice(-1) : (endsWithE ? word.slice(0, -1) : word);
+
+    forms.add(/(s|x|z|ch|sh)$/.test(word) ? word + 'es' : (consonantY ? word.slice(0, -1) + 'ies' : word + 's'));
+    forms.add(consonantY ? word.slice(0, -1) + 'ied' : (endsWithE ? word + 'd' : stem + 'ed'));
+    forms.add((word.endsWith('ie') ? word.slice(0, -2) + 'y' : stem) + 'ing');
+    forms.add(consonantY ? word.slice(0, -1) + 'ier' : (endsWithE ? word + 'r' : stem + 'er'));
+    forms.add(consonantY ? word.slice(0, -1) + 'iest' : (endsWithE ? word + 'st' : stem + 'est'));
+    forms.add(consonantY ? word.slice(0, -1) + 'ily' : (word.endsWith('le') ? word.slice(0, -1) + 'y' : word + 'ly'));
+    forms.add((consonantY ? word.slice(0, -1) + 'i' : word) + 'ness');
+    forms.add(word + 'ment');
+    return Array.from(forms);
+}
+
+// Phrases inflect their first word ("give up" -> "gave up", "gives up")
+function buildHeadwordPattern(english) {
+    const tokens = english.trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return null;
+    const firstForms = getWordForms(tokens[0]).sort((a, b) => b.length - a.length).map(escapeRegExp);
+    const rest = tokens.slice(1).map(escapeRegExp).join('\\s+');
+    const body = `(?:${firstForms.join('|')})${rest ? '\\s+' + rest : ''}`;
+    return new RegExp(`(^|[^\\p{L}\\p{N}])(${body})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function findClozeBlanks(sentence, english) {
+    const pattern = buildHeadwordPattern(english);
+    if (!pattern) return [];
+    const blanks = [];
+    let match;
+    while ((match = pattern.exec(sentence)) !== null) {
+        const start = match.index + match[1].length;
+        blanks.push({ start, text: match[2] });
+        if (match[0].length === 0) pattern.lastIndex++;
     }
+    return blanks;
 }
 
-function showQuizSummary() {
-    const correctCount = currentQuiz.answers.filter(a => a.correct).length;
-    const total = currentQuiz.answers.length;
-    const score = Math.round((correctCount / total) * 100);
-    
-    // Save to history
-    state.history.push({
-        quizId: currentQuiz.id,
-        date: new Date().toISOString(),
-        score: correctCount,
-        total: total,
-        details: currentQuiz.answers
-    });
-    
-    // Update streak
-    updateStreak();
-    
-    saveState();
-    
-    // Group by word
-    const wordResults = {};
-    currentQuiz.answers.forEach(answer => {
-        if (!wordResults[answer.wordId]) {
-            wordResults[answer.wordId] = { correct: 0, total: 0 };
-        }
-        wordResults[answer.wordId].total++;
-        if (answer.correct) {
-            wordResults[answer.wordId].correct++;
-        }
+// Rotate through the usable examples as the word gets tested
+function buildCloze(word) {
+    const sentences = (word.examples || []).filter(Boolean);
+    const candidates = sentences
+        .map(sentence => ({ sentence, blanks: findClozeBlanks(sentence, word.english) }))
+        .filter(c => c.blanks.length > 0);
+
+    if (candidates.length > 0) {
+        return candidates[(word.stats.timesTested || 0) % candidates.length];
+    }
+
+    const explanation = word.englishExplanation || '';
+    const blanks = findClozeBlanks(explanation, word.english);
+    if (blanks.length > 0) return { sentence: explanation, blanks };
+
+    // Nothing to blank out: ask for the headword from its meaning
+    return { sentence: '', blanks: [{ start: 0, text: word.english }] };
+}
+
+function renderClozeSentence(cloze, renderBlank) {
+    if (!cloze.sentence) return renderBlank(cloze.blanks[0], 0);
+    let html = '';
+    let cursor = 0;
+    cloze.blanks.forEach((blank, i) => {
+        html += escapeHtml(cloze.sentence.slice(cursor, blank.start)) + renderBlank(blank, i);
+        cursor = blank.start + blank.text.length;
     });
-    
-    const container = document.getElementById('mainContent');
-    container.innerHTML = `
-        <div class="quiz-summary">
-            <h1 style="margin-bottom: 1rem;">Quiz Complete!</h1>
-            <div class="summary-score">${correctCount}/${total}</div>
-            <div style="font-size: 1.25rem; color: var(--v-text-secondary); margin-bottom: 2rem;">
-                ${score}% Correct
-            </div>
-            
-            <div class="summary-details">
-                <div class="summary-stat">
-                    <div class="summary-stat-value" style="color: var(--v-success);">${correctCount}</div>
-                    <div class="summary-stat-label">Correct</div>
-                </div>
-                <div class="summary-stat">
-                    <div class="summary-stat-value" style="color: var(--v-danger);">${total - correctCount}</div>
-                    <div class="summary-stat-label">Wrong</div>
-                </div>
-                <div class="summary-stat">
-                    <div class="summary-stat-value" style="color: var(--v-primary);">${state.appStats.streak.current} 🔥</div>
-                    <div class="summary-stat-label">Streak</div>
-                </div>
-            </div>
-            
-            <div class="word-breakdown">
-                <h3>Mark Words as Learned</h3>
-                <p style="color: var(--v-text-secondary); margin-bottom: 1rem;">
-                    Select words you feel confident about:
-                </p>
-                ${Object.entries(wordResults).map(([wordId, result]) => {
-                    const word = state.words[wordId];
-                    if (!word) return '';
-                    return `
-                        <div class="breakdown-item">
-                            <label>
-                                <input type="checkbox" ${word.stats.learned ? 'checked' : ''} 
-                                    onchange="toggleLearned('${wordId}')" data-testid="checkbox-learned-${wordId}">
-                                <span>
-                                    <strong>${word.english}</strong> - ${word.turkish}
-                                    <span style="margin-left: 0.5rem; color: var(--v-text-tertiary);">
-                                        (${result.correct}/${result.total})
-                                    </span>
-                                </span>
-                            </label>
-                            ${result.correct < result.total ? 
-                                `<span class="badge" style="background: var(--v-danger); color: white;">Review</span>` 
-                            : ''}
-                        </div>
-                    `;
-                }).join('')}
-            </div>
-            
-            <div style="display: flex; gap: 1rem; margin-top: 2rem; flex-wrap: wrap; justify-content: center;">
-                <button class="btn-secondary" onclick="exportQuizPDF()" data-testid="button-export-quiz-pdf">
-                    <i class="fas fa-file-pdf"></i> Export as PDF
-                </button>
-                <button class="btn-primary" onclick="startQuiz()" data-testid="button-retake-quiz">
-                    <i class="fas fa-redo"></i> Take Another Quiz
-                </button>
-                <button class="btn-primary" onclick="retakeSameQuiz()" data-testid="button-retake-same">
-                    <i class="fas fa-redo-alt"></i> Retake Same Quiz
-                </button>
-                <button class="btn-primary" onclick="currentQuiz = null; navigateTo('dashboard')" data-testid="button-back-dashboard">
-                    <i class="fas fa-home"></i> Back to Dashboard
-                </button>
-            </div>
-        </div>
-    `;
+    return html + escapeHtml(cloze.sentence.slice(cursor));
 }
 
-function retakeSameQuiz() {
-    if (!currentQuiz || !currentQuiz.questions || currentQuiz.questions.length === 0) {
-        showToast('No quiz to retake.', 'warning');
-        return;
+function getClozeAnswer(cloze) {
+    return cloze.blanks.map(b => b.text).join(' / ');
+}
+
+function readTypedClozeAnswer() {
+    const values = Array.from(document.querySelectorAll('#question-content .cloze-input')).map(input => input.value.trim());
+    return values.some(Boolean) ? values.join(' / ') : '';
+}
+
+// Every blank must match; near misses on any blank make the whole answer "almost"
+function checkClozeAnswer(cloze, userAnswer) {
+    const parts = userAnswer.split('/').map(p => p.trim());
+    const results = cloze.blanks.map((blank, i) => matchAnswer(parts[i] || '', blank.text, 'en').result);
+    return {
+        correct: results.every(r => r === 'correct'),
+        almost: results.some(r => r !== 'correct') && results.every(r => r !== 'wrong')
+    };
+}
+
+// ==================== ANSWER MATCHING ====================
+// Typed answers are compared after normalisation; answers a few edits away
+// from an accepted one count as "almost" and the learner decides.
+const TURKISH_FOLDS = { 'ı': 'i', 'İ': 'i', 'ş': 's', 'Ş': 's', 'ğ': 'g', 'Ğ': 'g', 'ç': 'c', 'Ç': 'c', 'ö': 'o', 'Ö': 'o', 'ü': 'u', 'Ü': 'u' };
+const ENGLISH_ARTICLES = ['a', 'an', 'the', 'to'];
+
+function getAnswerMatchingSettings() {
+    return { ...ANSWER_MATCHING_DEFAULTS, ...(state.settings.answerMatching || {}) };
+}
+
+function normalizeAnswer(text, lang, options) {
+    return normalizeAnswerWithMap(text, lang, options).value;
+}
+
+// Normalises one character at a time so every character of the result keeps
+// the [start, end) range of the original text it came from. Lowercasing can
+// change the length ('İ' becomes two characters), so ranges may repeat.
+function normalizeAnswerWithMap(text, lang, options) {
+    const source = String(text || '');
+    const chars = [];
+    let offset = 0;
+    for (const original of source) {
+        const start = offset;
+        offset += original.length;
+        // Lowercase first so Turkish I/İ map to ı/i before folding
+        let value = original.toLocaleLowerCase(lang === 'tr' ? 'tr-TR' : 'en-US');
+        if (options.foldDiacritics) {
+            value = value.replace(/[ıİşŞğĞçÇöÖüÜ]/g, ch => TURKISH_FOLDS[ch]).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        }
+        if (options.ignoreArticles) {
+            value = value.replace(/[^\p{L}\p{N}\s]/gu, ' ');
+        }
+        for (const ch of value) chars.push({ ch, start, end: offset });
     }
 
-    // Reset progress but keep same questions and order
-    currentQuiz.currentIndex = 0;
-    currentQuiz.answers = [];
-    currentQuiz.startTime = new Date().toISOString();
+    // Split into words, which also trims and collapses whitespace
+    const words = [];
+    chars.forEach(c => {
+        if (/\s/.test(c.ch)) {
+            if (words.length > 0 && words[words.length - 1].length > 0) words.push([]);
+        } else {
+            if (words.length === 0) words.push([]);
+            words[words.length - 1].push(c);
+        }
+    });
+    if (words.length > 0 && words[words.length - 1].length === 0) words.pop();
+    if (options.ignoreArticles && lang === 'en') {
+        while (words.length > 1 && ENGLISH_ARTICLES.includes(words[0].map(c => c.ch).join(''))) words.shift();
+    }
 
-    // Remove any feedback overlays
-    document.querySelectorAll('.quiz-feedback').forEach(el => el.remove());
+    // The space between two words stands for whatever separated them
+    const map = [];
+    words.forEach((word, i) => {
+        if (i > 0) map.push({ ch: ' ', start: words[i - 1][words[i - 1].length - 1].end, end: word[0].start });
+        map.push(...word);
+    });
+    return { value: map.map(c => c.ch).join(''), map };
+}
 
-    // Clear any selected answer state
-    selectedAnswer = null;
+// Optimal string alignment distance: insertions, deletions, substitutions and adjacent swaps
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
 
-    // Render the quiz view again
-    navigateTo('quiz');
-    renderQuiz(document.getElementById('mainContent'));
+// Short answers get less slack so "cat" never passes for "car"
+function allowedTypos(answer, maxTypos) {
+    return Math.min(maxTypos, Math.floor(answer.length / 4));
 }
 
-function toggleLearned(wordId) {
-    if (state.words[wordId]) {
-        state.words[wordId].stats.learned = !state.words[wordId].stats.learned;
-        updateStats();
-        debouncedSaveState();
+// Returns { result: 'correct' | 'almost' | 'wrong', matched, distance }
+function matchAnswer(userAnswer, accepted, lang, { allowAlmost = true } = {}) {
+    const options = getAnswerMatchingSettings();
+    const candidates = (Array.isArray(accepted) ? accepted : [accepted]).filter(Boolean);
+    const typed = normalizeAnswer(userAnswer, lang, options);
+    let best = { result: 'wrong', matched: candidates[0] || '', distance: Infinity };
+
+    for (const candidate of candidates) {
+        const target = normalizeAnswer(candidate, lang, options);
+        if (typed === target) return { result: 'correct', matched: candidate, distance: 0 };
+        const distance = editDistance(typed, target);
+        if (distance < best.distance) best = { result: 'wrong', matched: candidate, distance };
+    }
+
+    if (allowAlmost && best.distance <= allowedTypos(normalizeAnswer(best.matched, lang, options), options.maxTypos)) {
+        best.result = options.autoAccept ? 'correct' : 'almost';
     }
+    return best;
 }
 
-function updateStreak() {
-    const today = new Date().toDateString();
-    const lastActive = state.appStats.streak.lastActive 
-        ? new Date(state.appStats.streak.lastActive).toDateString() 
-        : null;
-    
-    if (lastActive === today) {
-        // Already completed today
-        return;
+// Highlight the differences between what was typed and the accepted answer.
+// The normalised forms the matcher compared are diffed, then shown using the
+// original characters, so ignored case, accents and articles are not marked.
+function renderAnswerDiff(userAnswer, correctAnswer, lang = 'en') {
+    const options = getAnswerMatchingSettings();
+    const typed = normalizeAnswerWithMap(userAnswer, lang, options);
+    const target = normalizeAnswerWithMap(correctAnswer, lang, options);
+    const a = typed.value;
+    const b = target.value;
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
     }
-    
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toDateString();
-    
-    if (lastActive === yesterdayStr) {
-        // Continuing streak
-        state.appStats.streak.current++;
-    } else if (!lastActive || lastActive !== yesterdayStr) {
-        // New streak or broken streak
-        state.appStats.streak.current = 1;
+
+    // Walk back through the table to list the edits in order
+    const steps = [];
+    let i = a.length;
+    let j = b.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+            steps.unshift({ typed: i - 1, target: j - 1, same: a[i - 1] === b[j - 1] });
+            i--;
+            j--;
+        } else if (j > 0 && d[i][j] === d[i][j - 1] + 1) {
+            steps.unshift({ typed: null, target: j - 1, same: false });
+            j--;
+        } else {
+            steps.unshift({ typed: i - 1, target: null, same: false });
+            i--;
+        }
     }
-    
-    state.appStats.streak.lastActive = new Date().toISOString();
-    state.appStats.streak.best = Math.max(
-        state.appStats.streak.best,
-        state.appStats.streak.current
-    );
-    
-    updateStats();
+
+    // Characters the matcher ignored are shown as they are
+    const parts = [];
+    let cursor = 0;
+    let typedCursor = 0;
+    const emitUpTo = end => {
+        if (end > cursor) parts.push(escapeHtml(correctAnswer.slice(cursor, end)));
+        cursor = Math.max(cursor, end);
+    };
+    steps.forEach(step => {
+        if (step.typed !== null && !step.same) {
+            const { start, end } = typed.map[step.typed];
+            if (end > typedCursor) {
+                parts.push(`<del class="diff-extra">${escapeHtml(userAnswer.slice(Math.max(start, typedCursor), end))}</del>`);
+                typedCursor = end;
+            }
+        }
+        if (step.target === null) return;
+        const { start, end } = target.map[step.target];
+        emitUpTo(start);
+        if (end <= cursor) return;
+        const text = escapeHtml(correctAnswer.slice(cursor, end));
+        parts.push(step.same ? text : `<ins class="diff-missing">${text}</ins>`);
+        cursor = end;
+    });
+    emitUpTo(correctAnswer.length);
+    return parts.join('');
 }
 
-function generateDistractors(word, field) {
-    const allWords = Object.values(state.words).filter(w => w.id !== word.id);
-    const sameLevel = allWords.filter(w => w.level === word.level);
-    const pool = sameLevel.length >= 3 ? sameLevel : allWords;
-    
-    const shuffled = pool.sort(() => Math.random() - 0.5);
-    return shuffled.slice(0, 3).map(w => w[field] || w.english);
+function syncAnswerMatchingSettings() {
+    const options = getAnswerMatchingSettings();
+    const typos = document.getElementById('answer-max-typos');
+    if (!typos) return;
+    typos.value = String(options.maxTypos);
+    document.getElementById('answer-auto-accept').checked = options.autoAccept;
+    document.getElementById('answer-fold-diacritics').checked = options.foldDiacritics;
+    document.getElementById('answer-ignore-articles').checked = options.ignoreArticles;
 }
 
-function shuffle(array) {
-    return [...array].sort(() => Math.random() - 0.5);
+function saveAnswerMatchingSettings() {
+    state.settings.answerMatching = {
+        maxTypos: Number(document.getElementById('answer-max-typos').value),
+        autoAccept: document.getElementById('answer-auto-accept').checked,
+        foldDiacritics: document.getElementById('answer-fold-diacritics').checked,
+        ignoreArticles: document.getElementById('answer-ignore-articles').checked
+    };
+    saveState();
 }
 
 // ==================== MODAL FUNCTIONS ====================
@@ -2728,6 +6628,7 @@ function openAddWordModal() {
     // Reset form state
     document.getElementById('word-id').value = '';
     modalForm.reset();
+    document.getElementById('f-turkish').dispatchEvent(new Event('input'));
     document.getElementById('modal-title').textContent = 'Add New Word';
     
     // Initialize category dropdown
@@ -2745,6 +6646,7 @@ function openEditWordModal(id) {
     document.getElementById('word-id').value = id;
     document.getElementById('f-english').value = word.english;
     document.getElementById('f-turkish').value = word.turkish;
+    document.getElementById('f-turkish').dispatchEvent(new Event('input'));
     document.getElementById('f-pron').value = word.pronunciation;
     document.getElementById('f-turkishExp').value = getWordField(word, 'turkishExplanation', 'turkExp', 'turkishExp');
     document.getElementById('f-engExp').value = word.englishExplanation;
@@ -2752,6 +6654,7 @@ function openEditWordModal(id) {
     document.getElementById('f-ant').value = word.antonyms.join(', ');
     document.getElementById('f-examples').value = word.examples.join('\n');
     document.getElementById('f-level').value = word.level;
+    document.getElementById('f-pos').value = word.partOfSpeech || '';
     document.getElementById('f-notes').value = word.notes || '';
     
     // Initialize categories
@@ -2785,7 +6688,7 @@ function confirmDeleteWord(id) {
         
         // Delete the word
         if (deleteWord(id)) {
-            showToast('Kelime başarıyla silindi: ' + word.english, 'success');
+            showToast('Kelime başarıyla silindi: ' + word.english, 'success', undoToastAction());
             
             // Re-render the current view
             const mainContent = document.getElementById('mainContent');
@@ -2814,28 +6717,10 @@ function confirmClearAll() {
         'This will permanently delete all your words, statistics, and settings. Type DELETE to confirm.',
         true,
         () => {
-            state = {
-                meta: {
-                    version: '1.0',
-                    createdAt: new Date().toISOString(),
-                    lastSync: new Date().toISOString()
-                },
-                settings: {
-                    theme: state.settings.theme, // Preserve theme
-                    notificationHour: '20:00',
-                    notificationEnabled: false,
-                    dailyTestTimeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
-                },
-                words: {},
-                history: [],
-                appStats: {
-                    totalAdded: 0,
-                    totalLearned: 0,
-                    favoritesCount: 0,
-                    hardCount: 0,
-                    streak: { current: 0, best: 0, lastActive: null }
-                }
-            };
+            takeSnapshot('safety', 'Before clear all');
+            const theme = state.settings.theme; // Preserve theme
+            state = createDefaultState();
+            state.settings.theme = theme;
             saveState();
             updateStats();
             navigateTo('dashboard');
@@ -2844,6 +6729,28 @@ function confirmClearAll() {
     );
 }
 
+// Generic modal with free-form body and a row of action buttons
+function openActionModal({ title, body, actions = [] }) {
+    document.getElementById('action-title').textContent = title;
+    document.getElementById('action-body').innerHTML = body;
+
+    const actionsEl = document.getElementById('action-buttons');
+    actionsEl.innerHTML = '';
+    actions.forEach(action => {
+        const btn = document.createElement('button');
+        btn.className = action.className || 'btn-secondary';
+        btn.textContent = action.label;
+        if (action.testId) btn.setAttribute('data-testid', action.testId);
+        btn.addEventListener('click', () => {
+            if (!action.keepOpen) closeModal('action-modal');
+            if (action.onClick) action.onClick();
+        });
+        actionsEl.appendChild(btn);
+    });
+
+    document.getElementById('action-modal').classList.add('active');
+}
+
 function showConfirmModal(title, message, requireTyping, onConfirm) {
     document.getElementById('confirm-title').textContent = title;
     document.getElementById('confirm-message').textContent = message;
@@ -2948,32 +6855,12 @@ let notesCache = [];
 let selectedNoteId = null;
 
 function _getNotesFromStorage() {
-    try {
-        const raw = localStorage.getItem(NOTES_KEY);
-        if (!raw) return [];
-        const parsed = JSON.parse(raw);
-        if (typeof parsed === 'string') {
-            return [{
-                id: generateUUID(),
-                title: 'Note 1',
-                content: parsed,
-                updatedAt: new Date().toISOString()
-            }];
-        }
-        if (Array.isArray(parsed)) return parsed;
-        return [];
-    } catch (err) {
-        console.error('Failed to read notes from storage:', err);
-        return [];
-    }
+    return savedNotes.map(note => ({ ...note }));
 }
 
 function _saveNotesToStorage(notes) {
-    try {
-        localStorage.setItem(NOTES_KEY, JSON.stringify(notes));
-    } catch (err) {
-        console.error('Failed to save notes to storage:', err);
-    }
+    savedNotes = notes.map(note => ({ ...note }));
+    saveState();
 }
 
 function escapeHtml(str) {
@@ -3036,11 +6923,14 @@ function deleteNoteById(id) {
     const idx = notesCache.findIndex(n => n.id === id);
     if (idx === -1) return;
     if (!confirm('Delete this note?')) return;
-    notesCache.splice(idx, 1);
+    const before = cloneData(notesCache);
+    const [removed] = notesCache.splice(idx, 1);
     _saveNotesToStorage(notesCache);
+    recordNotesCommand(`Delete note "${removed.title || 'Untitled'}"`, before);
     selectedNoteId = notesCache[0] ? notesCache[0].id : null;
     renderNotesList();
     loadSelectedNoteToEditor();
+    showToast('Note deleted.', 'success', undoToastAction());
 }
 
 const _debouncedSaveNote = debounce(() => {
@@ -3324,9 +7214,10 @@ function applyTheme() {
 // ==================== EVENT LISTENERS ====================
 document.addEventListener('DOMContentLoaded', () => {
     // Load state
-    loadState();
-    applyTheme();
-    setupNotifications();
+    const stateReady = loadState().then(() => {
+        applyTheme();
+        setupNotifications();
+    });
 
     // Wire up Add Word Modal close button
     document.querySelector('#panel-addWord .btn-close')?.addEventListener('click', () => {
@@ -3445,7 +7336,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Router
     window.addEventListener('hashchange', handleRoute);
-    handleRoute();
+    stateReady.then(handleRoute);
     
     // Menu toggle
     document.getElementById('btn-menu-toggle')?.addEventListener('click', () => {
@@ -3457,10 +7348,13 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Settings
     document.getElementById('btn-settings')?.addEventListener('click', () => {
+        syncAnswerMatchingSettings();
+        syncDailyLimitSettings();
         document.getElementById('settings-modal').classList.add('active');
     });
     
     // Word form
+    bindTranslationChips('f-turkish');
     document.getElementById('word-form')?.addEventListener('submit', (e) => {
         e.preventDefault();
         
@@ -3468,6 +7362,7 @@ document.addEventListener('DOMContentLoaded', () => {
             english: document.getElementById('f-english').value,
             turkish: document.getElementById('f-turkish').value,
             pronunciation: document.getElementById('f-pron').value,
+            partOfSpeech: document.getElementById('f-pos').value,
             turkishExplanation: document.getElementById('f-turkishExp').value,
             englishExplanation: document.getElementById('f-engExp').value,
             synonyms: document.getElementById('f-syn').value.split(',').map(s => s.trim()).filter(Boolean),
@@ -3488,7 +7383,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (id) {
             updateWord(id, wordData);
-            showToast('Word updated successfully!', 'success');
+            showToast('Word updated successfully!', 'success', undoToastAction());
         } else {
             addWord(wordData);
             showToast('Word added successfully!', 'success');
@@ -3526,6 +7421,14 @@ document.addEventListener('DOMContentLoaded', () => {
         saveState();
     });
     
+    ['answer-max-typos', 'answer-auto-accept', 'answer-fold-diacritics', 'answer-ignore-articles'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', saveAnswerMatchingSettings);
+    });
+    
+    ['daily-new-limit', 'daily-review-limit'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', saveDailyLimitSettings);
+    });
+    
     document.getElementById('btn-test-notification')?.addEventListener('click', () => {
         if (Notification.permission === 'granted') {
             new Notification('VocabMaster Test', {
@@ -3565,7 +7468,8 @@ document.addEventListener('DOMContentLoaded', () => {
                     wrongCount: 0,
                     lastTested: null,
                     difficultyScore: 0,
-                    learned: false
+                    learned: false,
+                    ...createSrsStats()
                 };
             });
             state.history = [];
@@ -3616,6 +7520,21 @@ document.addEventListener('DOMContentLoaded', () => {
         // Don't trigger if user is typing in an input or textarea
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
+        // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) undo and redo data changes
+        if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+            e.preventDefault();
+            if (e.key === 'y' || e.shiftKey) redoLastCommand();
+            else undoLastCommand();
+            return;
+        }
+
+        // Number keys 1-4 grade the answer while the feedback overlay is open
+        if (document.querySelector('.quiz-feedback') && /^[1-4]$/.test(e.key)) {
+            const btn = document.querySelector(`.grade-btn[data-grade="${SRS_GRADES[Number(e.key) - 1]}"]`);
+            if (btn && !btn.disabled) btn.click();
+            return;
+        }
+
         // If Enter pressed while on a writing question, place next available letter
         if (e.key === 'Enter') {
             try {
@@ -3651,7 +7570,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
-    updateStorageDisplay();
+    stateReady.then(updateStorageDisplay);
 });
 
 function handleImport(mode) {